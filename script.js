@@ -1,18 +1,101 @@
 // --- IndexedDB Database Layer (No Framework) ---
 const DB_NAME = 'FitnessTrackerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const STORE_NAME = 'appState';
+const SNAPSHOT_STORE = 'snapshots';
+const SYNC_STORE = 'syncChanges';
+
+// Collections that live in their own object stores (keyed by record id).
+// Everything else in state (settings, active workout) stays in STORE_NAME.
+const ENTITY_STORES = ['exercises', 'programs', 'standaloneWorkouts', 'workoutHistory', 'bodyweightHistory'];
+
+// Store-side copy of a record: history gets a flat list of exercise ids so it can be indexed
+function toStoredRecord(storeName, record) {
+    if (storeName === 'workoutHistory') {
+        return {
+            ...record,
+            exerciseIds: Array.isArray(record.exercises) ? [...new Set(record.exercises.map(e => e.exerciseId))] : []
+        };
+    }
+    return record;
+}
+
+function fromStoredRecord(storeName, record) {
+    if (storeName === 'workoutHistory') {
+        const { exerciseIds, ...rest } = record;
+        return rest;
+    }
+    return record;
+}
+
+const getSyncKey = (collection, id) => `${collection}:${id}`;
 
 const db = {
+    // Ids currently in each entity store, so a full save knows which records to delete
+    persisted: {},
+    // When sync is configured, every changed record is also logged to SYNC_STORE
+    trackChanges: false,
+    // Records the v2 upgrade had to give a new id because another record already used theirs
+    rekeyed: [],
+
     open: () => {
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(DB_NAME, DB_VERSION);
 
             request.onupgradeneeded = (event) => {
                 const database = event.target.result;
+                const transaction = event.target.transaction;
                 if (!database.objectStoreNames.contains(STORE_NAME)) {
                     database.createObjectStore(STORE_NAME);
                 }
+
+                // v2: Split the single state blob into per-entity stores
+                if (event.oldVersion < 2) {
+                    const exerciseStore = database.createObjectStore('exercises', { keyPath: 'id' });
+                    exerciseStore.createIndex('name', 'name');
+                    database.createObjectStore('programs', { keyPath: 'id' });
+                    database.createObjectStore('standaloneWorkouts', { keyPath: 'id' });
+                    const historyStore = database.createObjectStore('workoutHistory', { keyPath: 'id' });
+                    historyStore.createIndex('date', 'date');
+                    historyStore.createIndex('exerciseId', 'exerciseIds', { multiEntry: true });
+                    const bwStore = database.createObjectStore('bodyweightHistory', { keyPath: 'id' });
+                    bwStore.createIndex('date', 'date');
+
+                    const legacyStore = transaction.objectStore(STORE_NAME);
+                    legacyStore.get('currentState').onsuccess = (e) => {
+                        const legacy = e.target.result;
+                        if (!legacy) return;
+                        ENTITY_STORES.forEach(storeName => {
+                            const records = Array.isArray(legacy[storeName]) ? legacy[storeName] : [];
+                            const usedIds = new Set(records.map(r => r && r.id).filter(id => typeof id === 'number'));
+                            const seenIds = new Set();
+                            records.forEach(record => {
+                                if (!record || typeof record !== 'object') return;
+                                // A missing or repeated id would overwrite another record in the keyed store
+                                if (record.id === undefined || record.id === null || seenIds.has(record.id)) {
+                                    const oldId = record.id;
+                                    record.id = createUniqueId(usedIds);
+                                    if (oldId !== undefined && oldId !== null) db.rekeyed.push({ storeName, oldId, newId: record.id });
+                                }
+                                seenIds.add(record.id);
+                                transaction.objectStore(storeName).put(toStoredRecord(storeName, record));
+                            });
+                            delete legacy[storeName];
+                        });
+                        legacyStore.put(legacy, 'currentState');
+                    };
+                }
+
+                // v3: Full-state snapshots, kept apart from the live data so a wipe doesn't touch them
+                if (event.oldVersion < 3) {
+                    const snapshotStore = database.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+                    snapshotStore.createIndex('createdAt', 'createdAt');
+                }
+
+                // v4: Outgoing sync change log, one entry per modified record
+                if (event.oldVersion < 4) {
+                    database.createObjectStore(SYNC_STORE, { keyPath: 'key' });
+                }
             };
 
             request.onsuccess = (event) => resolve(event.target.result);
@@ -20,37 +103,256 @@ const db = {
         });
     },
 
-    save: async (state) => {
+    // Writes the settings blob plus the records named in dirty ({ all, ids: { collection: Set } }).
+    // Without dirty (imports, restores) every record is rewritten and anything missing is deleted.
+    save: async (state, dirty = { all: true, ids: {} }) => {
         const database = await db.open();
         return new Promise((resolve, reject) => {
-            const transaction = database.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.put(state, 'currentState');
+            const transaction = database.transaction([STORE_NAME, ...ENTITY_STORES, SYNC_STORE], 'readwrite');
+            const pending = [];
+            const modifiedAt = Date.now();
+
+            // A record that can't be stored throws here; abort so nothing from this save is committed
+            try {
+                const settings = {};
+                Object.keys(state).forEach(key => {
+                    if (!ENTITY_STORES.includes(key)) settings[key] = state[key];
+                });
+                transaction.objectStore(STORE_NAME).put(settings, 'currentState');
+
+                ENTITY_STORES.forEach(storeName => {
+                    const store = transaction.objectStore(storeName);
+                    const persisted = db.persisted[storeName] || new Set();
+                    const records = state[storeName] || [];
+
+                    if (dirty.all) {
+                        const seen = new Set();
+                        records.forEach(record => {
+                            seen.add(record.id);
+                            store.put(toStoredRecord(storeName, record));
+                            pending.push([storeName, record.id, false]);
+                        });
+                        persisted.forEach(id => {
+                            if (seen.has(id)) return;
+                            store.delete(id);
+                            pending.push([storeName, id, true]);
+                        });
+                        return;
+                    }
 
-            request.onsuccess = () => resolve();
-            request.onerror = (e) => reject(e.target.error);
+                    const ids = dirty.ids[storeName];
+                    if (!ids || ids.size === 0) return;
+                    const byId = new Map(records.map(r => [r.id, r]));
+                    ids.forEach(id => {
+                        if (byId.has(id)) {
+                            store.put(toStoredRecord(storeName, byId.get(id)));
+                            pending.push([storeName, id, false]);
+                        } else if (persisted.has(id)) {
+                            store.delete(id);
+                            pending.push([storeName, id, true]);
+                        }
+                    });
+                });
+
+                if (db.trackChanges) {
+                    const syncStore = transaction.objectStore(SYNC_STORE);
+                    pending.forEach(([storeName, id, deleted]) => {
+                        syncStore.put({ key: getSyncKey(storeName, id), collection: storeName, id, modifiedAt, deleted });
+                    });
+                }
+            } catch (err) {
+                transaction.abort();
+                reject(err);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                pending.forEach(([storeName, id, deleted]) => {
+                    if (!db.persisted[storeName]) db.persisted[storeName] = new Set();
+                    if (deleted) db.persisted[storeName].delete(id);
+                    else db.persisted[storeName].add(id);
+                });
+                resolve();
+            };
+            transaction.onerror = (e) => reject(e.target.error);
         });
     },
 
     load: async () => {
         const database = await db.open();
         return new Promise((resolve, reject) => {
-            const transaction = database.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.get('currentState');
+            const transaction = database.transaction([STORE_NAME, ...ENTITY_STORES], 'readonly');
+            const result = {};
+            let hasData = false;
+
+            transaction.objectStore(STORE_NAME).get('currentState').onsuccess = (event) => {
+                if (event.target.result) {
+                    Object.assign(result, event.target.result);
+                    hasData = true;
+                }
+            };
+
+            ENTITY_STORES.forEach(storeName => {
+                transaction.objectStore(storeName).getAll().onsuccess = (event) => {
+                    const records = event.target.result.map(r => fromStoredRecord(storeName, r));
+                    if (records.length > 0) hasData = true;
+                    result[storeName] = records;
+                    db.persisted[storeName] = new Set(records.map(r => r.id));
+                };
+            });
+
+            transaction.oncomplete = () => resolve(hasData ? result : undefined);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    clear: async () => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([STORE_NAME, ...ENTITY_STORES, SYNC_STORE], 'readwrite');
+            [STORE_NAME, ...ENTITY_STORES, SYNC_STORE].forEach(storeName => transaction.objectStore(storeName).clear());
+            transaction.oncomplete = () => {
+                db.persisted = {};
+                resolve();
+            };
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
 
+    getMeta: async (key) => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const request = database.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).get(key);
             request.onsuccess = (event) => resolve(event.target.result);
             request.onerror = (e) => reject(e.target.error);
         });
     },
 
-    clear: async () => {
+    setMeta: async (key, value) => {
         const database = await db.open();
         return new Promise((resolve, reject) => {
             const transaction = database.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.clear();
-            request.onsuccess = () => resolve();
+            transaction.objectStore(STORE_NAME).put(value, key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    getSyncChanges: async () => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const request = database.transaction([SYNC_STORE], 'readonly').objectStore(SYNC_STORE).getAll();
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    // Logs every currently persisted record as changed at time 0, so a first sync uploads
+    // everything but loses any conflict against a copy the server already has
+    seedSyncChanges: async () => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([SYNC_STORE], 'readwrite');
+            const store = transaction.objectStore(SYNC_STORE);
+            ENTITY_STORES.forEach(storeName => {
+                (db.persisted[storeName] || new Set()).forEach(id => {
+                    const key = getSyncKey(storeName, id);
+                    store.get(key).onsuccess = (event) => {
+                        if (!event.target.result) store.put({ key, collection: storeName, id, modifiedAt: 0, deleted: false });
+                    };
+                });
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    // Removes pushed entries, unless the record was modified again while the push was in flight
+    clearSyncChanges: async (changes) => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([SYNC_STORE], 'readwrite');
+            const store = transaction.objectStore(SYNC_STORE);
+            changes.forEach(change => {
+                store.get(change.key).onsuccess = (event) => {
+                    const current = event.target.result;
+                    if (current && current.modifiedAt === change.modifiedAt) store.delete(change.key);
+                };
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    // Writes records that won against the server without logging them as local changes
+    applyRemoteChanges: async (changes) => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([...ENTITY_STORES, SYNC_STORE], 'readwrite');
+            changes.forEach(change => {
+                const store = transaction.objectStore(change.collection);
+                if (change.deleted) store.delete(change.id);
+                else store.put(toStoredRecord(change.collection, change.record));
+                transaction.objectStore(SYNC_STORE).delete(getSyncKey(change.collection, change.id));
+            });
+            transaction.oncomplete = () => {
+                changes.forEach(change => {
+                    if (!db.persisted[change.collection]) db.persisted[change.collection] = new Set();
+                    if (change.deleted) db.persisted[change.collection].delete(change.id);
+                    else db.persisted[change.collection].add(change.id);
+                });
+                resolve();
+            };
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    addSnapshot: async (snapshot) => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([SNAPSHOT_STORE], 'readwrite');
+            transaction.objectStore(SNAPSHOT_STORE).put(snapshot);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    getSnapshot: async (id) => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([SNAPSHOT_STORE], 'readonly');
+            const request = transaction.objectStore(SNAPSHOT_STORE).get(id);
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    // Newest first, without the (large) data payload
+    listSnapshots: async () => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([SNAPSHOT_STORE], 'readonly');
+            const snapshots = [];
+            const request = transaction.objectStore(SNAPSHOT_STORE).index('createdAt').openCursor(null, 'prev');
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return resolve(snapshots);
+                const { data, ...meta } = cursor.value;
+                snapshots.push(meta);
+                cursor.continue();
+            };
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    deleteSnapshots: async (ids) => {
+        const database = await db.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([SNAPSHOT_STORE], 'readwrite');
+            const store = transaction.objectStore(SNAPSHOT_STORE);
+            ids.forEach(id => store.delete(id));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
         });
     }
 };
@@ -174,11 +476,323 @@ let state = {
     editingWorkout: null,
     workoutBuilderContext: 'program',
     weightUnit: 'lbs',
+    effortScale: 'rpe',
+    snapshotRetention: 14,
+    plateInventory: null,
     editingExerciseId: null
 };
 
 // Added for Multi-Select in Builder
 let selectedExercisesForBuilder = new Set(); 
+let swapExerciseIndex = null;
+let plateCalculatorTarget = null;
+let loadableSuggestion = null;
+
+// --- Set Types ---
+// Sets without a type are normal working sets. Warm-ups are logged but kept out of volume, PRs and autofill.
+const SET_TYPES = {
+    normal: { label: 'Normal', short: '' },
+    warmup: { label: 'Warm-up', short: 'W' },
+    drop: { label: 'Drop Set', short: 'D' },
+    failure: { label: 'Failure', short: 'F' },
+    amrap: { label: 'AMRAP', short: 'A' }
+};
+const SET_TYPE_ORDER = Object.keys(SET_TYPES);
+
+function getSetType(set) {
+    return set && SET_TYPES[set.type] ? set.type : 'normal';
+}
+
+function getNextSetType(set) {
+    return SET_TYPE_ORDER[(SET_TYPE_ORDER.indexOf(getSetType(set)) + 1) % SET_TYPE_ORDER.length];
+}
+
+function isWorkingSet(set) {
+    return getSetType(set) !== 'warmup';
+}
+
+// Only weight × reps exercises contribute to volume
+function getSetVolume(set, trackingType = 'weight_reps', bodyweightMode = null) {
+    if (!isWorkingSet(set) || trackingType !== 'weight_reps') return 0;
+    return getEffectiveWeight(set, bodyweightMode) * getSetTotalReps(set);
+}
+
+// Warm-ups show "W" and don't count towards the set number; other special sets show their letter
+function getSetLabels(sets) {
+    let number = 0;
+    return sets.map(set => {
+        const type = getSetType(set);
+        if (type === 'warmup') return SET_TYPES.warmup.short;
+        number++;
+        return type === 'normal' ? String(number) : SET_TYPES[type].short;
+    });
+}
+
+// --- Exercise Tracking Types ---
+// What a set records for an exercise. Durations are stored in seconds and distances in metres,
+// and shown in the unit system that matches the weight unit.
+const TRACKING_TYPES = {
+    weight_reps: { label: 'Weight & Reps', fields: ['weight', 'reps'], target: 'reps', prMetrics: ['Weight', '1RM'] },
+    reps: { label: 'Reps Only', fields: ['reps'], target: 'reps', prMetrics: ['Reps'] },
+    duration: { label: 'Duration', fields: ['duration'], target: 'duration', prMetrics: ['Duration'] },
+    distance_duration: { label: 'Distance & Duration', fields: ['distance', 'duration'], target: 'distance', prMetrics: ['Pace', 'Distance'] },
+    weight_distance: { label: 'Weight & Distance', fields: ['weight', 'distance'], target: 'distance', prMetrics: ['Weight', 'Distance'] }
+};
+
+// Runs and rides use km / mi, carries use m / yd
+const DISTANCE_UNITS = {
+    distance_duration: { kg: { label: 'km', metres: 1000 }, lbs: { label: 'mi', metres: 1609.344 } },
+    weight_distance: { kg: { label: 'm', metres: 1 }, lbs: { label: 'yd', metres: 0.9144 } }
+};
+
+function getTrackingType(exerciseId) {
+    const exercise = state.exercises.find(e => e.id === exerciseId);
+    return exercise && TRACKING_TYPES[exercise.trackingType] ? exercise.trackingType : 'weight_reps';
+}
+
+function getDistanceUnit(trackingType) {
+    const units = DISTANCE_UNITS[trackingType] || DISTANCE_UNITS.distance_duration;
+    return units[getWeightUnitLabel()];
+}
+
+function formatDistance(metres, trackingType) {
+    const value = parseFloat(metres);
+    if (isNaN(value)) return '';
+    return String(Math.round(value / getDistanceUnit(trackingType).metres * 100) / 100);
+}
+
+function parseDistanceInput(value, trackingType) {
+    const parsed = parseFloat(String(value).substring(0, 10));
+    if (isNaN(parsed) || parsed < 0) return '';
+    return Math.round(parsed * getDistanceUnit(trackingType).metres * 10) / 10;
+}
+
+// Seconds to "m:ss", or "h:mm:ss" past an hour
+function formatDuration(seconds) {
+    const total = Math.round(parseFloat(seconds));
+    if (isNaN(total)) return '';
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// Accepts "90", "1:30" or "1:02:30"
+function parseDurationInput(value) {
+    const parts = String(value).substring(0, 10).split(':').map(part => parseInt(part));
+    if (parts.length > 3 || parts.some(part => isNaN(part) || part < 0)) return '';
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// A set counts as logged once every field its tracking type records has a value.
+// Bodyweight exercises don't need a load: a blank weight means plain bodyweight.
+function isSetFilled(set, trackingType, bodyweightMode = null) {
+    return TRACKING_TYPES[trackingType].fields.every(field => (field === 'weight' && bodyweightMode) || parseFloat(set[field]) > 0);
+}
+
+function pickSetMeasures(source, trackingType, unilateral = false) {
+    const measures = {};
+    TRACKING_TYPES[trackingType].fields.forEach(field => {
+        measures[field] = source && source[field] ? source[field] : '';
+    });
+    // Sets logged before the exercise became unilateral seed both sides with their reps
+    if (unilateral && 'reps' in measures) {
+        measures.repsLeft = source && hasSideReps(source) ? source.repsLeft : measures.reps;
+        measures.repsRight = source && hasSideReps(source) ? source.repsRight : measures.reps;
+    }
+    return measures;
+}
+
+function formatSetSummary(set, trackingType, bodyweightMode = null) {
+    const weight = formatLoad(set.weight, bodyweightMode);
+    const reps = hasSideReps(set) ? `L${set.repsLeft || 0} / R${set.repsRight || 0}` : (set.reps || 0);
+    const distance = set.distance ? `${formatDistance(set.distance, trackingType)}${getDistanceUnit(trackingType).label}` : '-';
+    const duration = set.duration ? formatDuration(set.duration) : '-';
+    switch (trackingType) {
+        case 'reps': return `${reps} reps`;
+        case 'duration': return duration;
+        case 'distance_duration': return `${distance} in ${duration}`;
+        case 'weight_distance': return `${weight} × ${distance}`;
+        default: return `${weight} × ${reps}`;
+    }
+}
+
+function getMeasureLabel(field, trackingType) {
+    switch (field) {
+        case 'weight': return getWeightUnitLabel().toUpperCase();
+        case 'reps': return 'Reps';
+        case 'duration': return 'Time';
+        case 'distance': return getDistanceUnit(trackingType).label.toUpperCase();
+        default: return '';
+    }
+}
+
+window.enforceDuration = function(input) {
+    input.value = String(input.value).substring(0, 10).replace(/[^0-9:]/g, '');
+};
+
+// --- Bodyweight Exercises ---
+// Bodyweight exercises log the added load (weighted pull-ups) or the assistance (assisted machine)
+// in the set's weight field. Their effective load adds it to, or takes it from, the latest bodyweight.
+const BODYWEIGHT_MODES = {
+    added: { label: 'Bodyweight + added load', sign: '+' },
+    assisted: { label: 'Bodyweight − assistance', sign: '−' }
+};
+
+function getBodyweightMode(exerciseId) {
+    const exercise = state.exercises.find(e => e.id === exerciseId);
+    return exercise && BODYWEIGHT_MODES[exercise.bodyweightMode] ? exercise.bodyweightMode : null;
+}
+
+function getLatestBodyweight() {
+    if (!state.bodyweightHistory || state.bodyweightHistory.length === 0) return 0;
+    const latest = state.bodyweightHistory.reduce((a, b) => new Date(b.date) > new Date(a.date) ? b : a);
+    return parseFloat(latest.weight) || 0;
+}
+
+function getEffectiveWeight(set, bodyweightMode) {
+    const load = parseFloat(set.weight) || 0;
+    if (bodyweightMode === 'added') return getLatestBodyweight() + load;
+    if (bodyweightMode === 'assisted') return Math.max(0, getLatestBodyweight() - load);
+    return load;
+}
+
+function formatLoad(weight, bodyweightMode) {
+    const load = weight ? `${weight}${getWeightUnitLabel()}` : '';
+    if (bodyweightMode && load) return `BW ${BODYWEIGHT_MODES[bodyweightMode].sign} ${load}`;
+    return load || 'BW';
+}
+
+// --- Unilateral Exercises ---
+// Unilateral sets log repsLeft and repsRight. The set's reps holds the weaker side so e1RM and
+// PRs stay conservative, while volume counts the reps of both sides.
+function isUnilateral(exerciseId) {
+    const exercise = state.exercises.find(e => e.id === exerciseId);
+    return !!(exercise && exercise.unilateral && TRACKING_TYPES[getTrackingType(exerciseId)].fields.includes('reps'));
+}
+
+function hasSideReps(set) {
+    return !!set && (set.repsLeft !== undefined || set.repsRight !== undefined);
+}
+
+function getSetTotalReps(set) {
+    if (hasSideReps(set)) return (parseInt(set.repsLeft) || 0) + (parseInt(set.repsRight) || 0);
+    return parseInt(set.reps) || 0;
+}
+
+function getSideRepTotals(sets) {
+    return sets.filter(s => isWorkingSet(s) && hasSideReps(s)).reduce((totals, s) => {
+        totals.left += parseInt(s.repsLeft) || 0;
+        totals.right += parseInt(s.repsRight) || 0;
+        return totals;
+    }, { left: 0, right: 0 });
+}
+
+// Positive when the left side did more reps
+function getImbalancePercent(left, right) {
+    const max = Math.max(left, right);
+    return max ? Math.round((left - right) / max * 100) : 0;
+}
+
+function formatImbalance(percent) {
+    if (Math.abs(percent) < 5) return 'Balanced';
+    return `${percent > 0 ? 'Left' : 'Right'} +${Math.abs(percent)}%`;
+}
+
+// --- Supersets & Circuits ---
+// Consecutive exercises sharing a groupId are done as one group: sets alternate A1, A2, A1, A2…
+// and the rest timer only runs once the last exercise of each round is done.
+const LINK_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>';
+
+function getGroupName(size) {
+    if (size === 2) return 'Superset';
+    if (size === 3) return 'Giant Set';
+    return 'Circuit';
+}
+
+// Drops groups of one and splits a group id that reappears after a gap (e.g. after reordering)
+function normalizeExerciseGroups(exercises) {
+    const runs = [];
+    exercises.forEach((ex, i) => {
+        if (ex.groupId === undefined || ex.groupId === null) return;
+        const prev = exercises[i - 1];
+        if (prev && prev.groupId === ex.groupId) runs[runs.length - 1].push(ex);
+        else runs.push([ex]);
+    });
+
+    const usedIds = new Set(runs.map(run => run[0].groupId));
+    const seenIds = new Set();
+    runs.forEach(run => {
+        if (run.length < 2) {
+            delete run[0].groupId;
+            return;
+        }
+        const id = seenIds.has(run[0].groupId) ? createUniqueId(usedIds) : run[0].groupId;
+        seenIds.add(id);
+        run.forEach(ex => { ex.groupId = id; });
+    });
+    return exercises;
+}
+
+// Per exercise: null, or { code: 'A1', name, start, end } describing its group
+function getExerciseGroupInfo(exercises) {
+    const info = exercises.map(() => null);
+    let groupCount = 0;
+    exercises.forEach((ex, i) => {
+        if (ex.groupId === undefined || ex.groupId === null) return;
+        if (i > 0 && exercises[i - 1].groupId === ex.groupId) return;
+        let end = i;
+        while (end + 1 < exercises.length && exercises[end + 1].groupId === ex.groupId) end++;
+        if (end === i) return;
+
+        const letter = String.fromCharCode(65 + (groupCount++ % 26));
+        const name = getGroupName(end - i + 1);
+        for (let k = i; k <= end; k++) {
+            info[k] = { code: `${letter}${k - i + 1}`, name, start: i, end };
+        }
+    });
+    return info;
+}
+
+function isGroupedWithNext(exercises, index) {
+    const ex = exercises[index];
+    const next = exercises[index + 1];
+    return !!(ex && next && ex.groupId !== undefined && ex.groupId !== null && ex.groupId === next.groupId);
+}
+
+function toggleGroupWithNext(exercises, index) {
+    const ex = exercises[index];
+    const next = exercises[index + 1];
+    if (!ex || !next) return;
+    const usedIds = new Set(exercises.map(e => e.groupId).filter(id => id !== undefined && id !== null));
+
+    if (isGroupedWithNext(exercises, index)) {
+        // Unlink: everything after this exercise becomes its own group
+        const oldId = ex.groupId;
+        const newId = createUniqueId(usedIds);
+        for (let k = index + 1; k < exercises.length && exercises[k].groupId === oldId; k++) {
+            exercises[k].groupId = newId;
+        }
+    } else {
+        const nextId = next.groupId;
+        const id = ex.groupId !== undefined && ex.groupId !== null ? ex.groupId
+            : (nextId !== undefined && nextId !== null ? nextId : createUniqueId(usedIds));
+        ex.groupId = id;
+        next.groupId = id;
+        for (let k = index + 2; k < exercises.length && nextId !== undefined && nextId !== null && exercises[k].groupId === nextId; k++) {
+            exercises[k].groupId = id;
+        }
+    }
+    normalizeExerciseGroups(exercises);
+}
+
+// The exercise that comes next in this round of the group, or -1 once the round is finished
+function getNextInRound(exercises, groupInfo, exIndex, setIndex) {
+    for (let k = exIndex + 1; k <= groupInfo.end; k++) {
+        if (exercises[k].sets[setIndex]) return k;
+    }
+    return -1;
+}
 
 // --- PR Calculations ---
 function getE1RM(weight, reps) {
@@ -186,29 +800,63 @@ function getE1RM(weight, reps) {
     return Math.round(weight * (1 + reps / 30));
 }
 
-function getExerciseMaxes(exerciseId) {
-    let maxWeight = 0;
-    let max1RM = 0;
+function getSetMetric(set, metric, bodyweightMode = null) {
+    const weight = getEffectiveWeight(set, bodyweightMode);
+    const reps = parseInt(set.reps) || 0;
+    const duration = parseFloat(set.duration) || 0;
+    const distance = parseFloat(set.distance) || 0;
+    switch (metric) {
+        case 'Weight': return weight;
+        case '1RM': return getE1RM(weight, reps);
+        case 'Reps': return reps;
+        case 'Duration': return duration;
+        case 'Distance': return distance;
+        case 'Pace': return duration > 0 && distance > 0 ? duration / distance : 0; // seconds per metre
+        default: return 0;
+    }
+}
+
+// Pace improves by going down, every other metric by going up
+function isMetricImprovement(metric, value, best) {
+    if (value <= 0) return false;
+    return metric === 'Pace' ? (best === 0 || value < best) : value > best;
+}
+
+function formatMetric(metric, value, trackingType) {
+    switch (metric) {
+        case 'Duration': return formatDuration(value);
+        case 'Distance': return `${formatDistance(value, trackingType)} ${getDistanceUnit(trackingType).label}`;
+        case 'Pace': {
+            const unit = getDistanceUnit(trackingType);
+            return `${formatDuration(value * unit.metres)} /${unit.label}`;
+        }
+        default: return value;
+    }
+}
+
+// All-time bests for an exercise, keyed by PR metric (0 when there's no qualifying set)
+function getExerciseBests(exerciseId) {
+    const bests = { 'Weight': 0, '1RM': 0, 'Reps': 0, 'Duration': 0, 'Distance': 0, 'Pace': 0 };
+    const bodyweightMode = getBodyweightMode(exerciseId);
     
     if (state.workoutHistory) {
         state.workoutHistory.forEach(w => {
             const ex = w.exercises.find(e => e.exerciseId === exerciseId);
             if (ex) {
-                ex.sets.forEach(s => {
-                    const wgt = parseFloat(s.weight) || 0;
-                    const rps = parseInt(s.reps) || 0;
-                    if (wgt > maxWeight) maxWeight = wgt;
-                    
-                    const e1rm = getE1RM(wgt, rps);
-                    if (e1rm > max1RM) max1RM = e1rm;
+                ex.sets.filter(isWorkingSet).forEach(s => {
+                    Object.keys(bests).forEach(metric => {
+                        const value = getSetMetric(s, metric, bodyweightMode);
+                        if (isMetricImprovement(metric, value, bests[metric])) bests[metric] = value;
+                    });
                 });
             }
         });
     }
-    return { maxWeight, max1RM };
+    return bests;
 }
 
 // --- Workout Duration Timer ---
+// Paused spans are tracked on state.activeWorkout (pausedAt / pausedMs) and left out of the active duration.
 let workoutDurationInterval = null;
 let workoutStartTime = null;
 
@@ -231,16 +879,59 @@ function stopWorkoutTimer() {
     if (badge) badge.classList.remove('active');
 }
 
+function getActiveWorkoutSeconds() {
+    if (!state.activeWorkout || !workoutStartTime) return 0;
+    const end = state.activeWorkout.pausedAt || Date.now();
+    return Math.max(0, Math.floor((end - workoutStartTime - (state.activeWorkout.pausedMs || 0)) / 1000));
+}
+
 function updateWorkoutDurationDisplay() {
     const el = document.getElementById('workoutDurationText');
     if (!el || !workoutStartTime) return;
-    const elapsed = Math.floor((Date.now() - workoutStartTime) / 1000);
+    const elapsed = getActiveWorkoutSeconds();
     const mins = Math.floor(elapsed / 60);
     const secs = elapsed % 60;
-    el.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+    const paused = !!(state.activeWorkout && state.activeWorkout.pausedAt);
+    el.textContent = `${mins}:${secs.toString().padStart(2, '0')}${paused ? ' • Paused' : ''}`;
+    const badge = document.getElementById('workoutDurationDisplay');
+    if (badge) badge.classList.toggle('paused', paused);
 }
 
+window.toggleWorkoutPause = function() {
+    if (!state.activeWorkout) return;
+    if (state.activeWorkout.pausedAt) {
+        state.activeWorkout.pausedMs = (state.activeWorkout.pausedMs || 0) + (Date.now() - state.activeWorkout.pausedAt);
+        delete state.activeWorkout.pausedAt;
+        showToast('Workout resumed');
+    } else {
+        state.activeWorkout.pausedAt = Date.now();
+        showToast('Workout paused');
+    }
+    updateWorkoutDurationDisplay();
+    saveState();
+};
+
+// Accepts minutes ("45") or a clock value ("1:05:00")
+window.editHistoryDuration = function(id) {
+    const record = state.workoutHistory.find(w => w.id === id);
+    if (!record) return;
+    let value = prompt("Workout duration (minutes or h:mm:ss):", record.duration !== undefined ? formatDuration(record.duration) : '');
+    if (value === null) return;
+    value = value.trim().substring(0, 10);
+    const seconds = value.includes(':') ? parseDurationInput(value) : Math.round(parseFloat(value) * 60);
+    if (!(seconds >= 0)) {
+        alert('Enter the duration in minutes or as h:mm:ss.');
+        return;
+    }
+    record.duration = seconds;
+    markDirty('workoutHistory', id);
+    saveState();
+    renderHistory();
+};
+
 // --- Rest Timer ---
+// The countdown runs off an absolute end time kept in state.activeWorkout.restTimer, so throttled
+// intervals can't make it drift and a reload picks it up where it left off.
 let restTimerInterval = null;
 let restTimerRemaining = 0;
 let restTimerTotal = 0;
@@ -251,17 +942,49 @@ function getRestTimeForExercise(exerciseId) {
 }
 
 function startRestTimer(duration, exerciseName) {
-    restTimerTotal = duration;
-    restTimerRemaining = duration;
-    showRestTimer(exerciseName);
+    if (!state.activeWorkout) return;
+    state.activeWorkout.restTimer = {
+        endsAt: Date.now() + duration * 1000,
+        total: duration,
+        exerciseName: exerciseName || ''
+    };
+    saveState();
+    requestRestNotificationPermission();
+    scheduleRestNotification();
+    runRestTimer();
+}
+
+// Shows the persisted timer, or quietly drops it if it ran out while the app was closed
+function resumeRestTimer() {
+    const timer = state.activeWorkout && state.activeWorkout.restTimer;
+    if (!timer) return;
+    if (timer.endsAt <= Date.now()) {
+        delete state.activeWorkout.restTimer;
+        saveState();
+        return;
+    }
+    runRestTimer();
+}
+
+function runRestTimer() {
+    const timer = state.activeWorkout.restTimer;
+    restTimerTotal = timer.total;
+    restTimerRemaining = getRestTimerRemaining();
+    clearInterval(restTimerInterval);
+    showRestTimer(timer.exerciseName);
     restTimerInterval = setInterval(runRestTimerTick, 1000);
 }
 
+function getRestTimerRemaining() {
+    const timer = state.activeWorkout && state.activeWorkout.restTimer;
+    return timer ? Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000)) : 0;
+}
+
 function runRestTimerTick() {
-    restTimerRemaining--;
+    restTimerRemaining = getRestTimerRemaining();
     updateRestTimerDisplay();
     if (restTimerRemaining <= 0) {
-        skipRestTimer(true);
+        skipRestTimer();
         playRestDoneBeep();
     }
 }
@@ -272,16 +995,19 @@ function updateRestTimerDisplay() {
     if (!countdown || !ring) return;
 
     countdown.textContent = restTimerRemaining;
-
-    const circumference = 326.726;
-    const progress = restTimerRemaining / restTimerTotal;
-    ring.style.strokeDashoffset = circumference * (1 - progress);
-
+    setTimerRing(ring, restTimerRemaining, restTimerTotal);
     ring.classList.remove('warning', 'urgent');
     if (restTimerRemaining <= 10) ring.classList.add('urgent');
     else if (restTimerRemaining <= 20) ring.classList.add('warning');
 }
 
+// Shared by the rest and interval timers
+function setTimerRing(ring, remaining, total) {
+    const circumference = 326.726;
+    const progress = total > 0 ? remaining / total : 0;
+    ring.style.strokeDashoffset = circumference * (1 - progress);
+}
+
 function showRestTimer(exerciseName) {
     const nameEl = document.getElementById('restTimerExerciseName');
     if (nameEl) nameEl.textContent = exerciseName ? `After: ${escapeHtml(exerciseName)}` : '';
@@ -293,23 +1019,69 @@ window.skipRestTimer = function() {
     clearInterval(restTimerInterval);
     restTimerInterval = null;
     setModalClose('restTimerOverlay');
+    cancelRestNotification();
+    if (state.activeWorkout && state.activeWorkout.restTimer) {
+        delete state.activeWorkout.restTimer;
+        saveState();
+    }
 };
 
 window.adjustRestTimer = function(delta) {
-    restTimerRemaining = Math.max(1, restTimerRemaining + delta);
-    restTimerTotal = Math.max(restTimerTotal, restTimerRemaining);
+    const timer = state.activeWorkout && state.activeWorkout.restTimer;
+    if (!timer) return;
+    timer.endsAt = Math.max(Date.now() + 1000, timer.endsAt + delta * 1000);
+    restTimerRemaining = getRestTimerRemaining();
+    timer.total = Math.max(timer.total, restTimerRemaining);
+    restTimerTotal = timer.total;
     updateRestTimerDisplay();
+    saveState();
+    scheduleRestNotification();
 };
 
-function playRestDoneBeep() {
+// --- Rest Notifications ---
+// The service worker shows the "rest over" notification while the app is in the background. It's only
+// scheduled while the page is hidden, so a browser-fired trigger can't show over the open app.
+function requestRestNotificationPermission() {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission().catch(() => {});
+    }
+}
+
+function postToServiceWorker(message) {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+    navigator.serviceWorker.controller.postMessage(message);
+}
+
+function scheduleRestNotification() {
+    const timer = state.activeWorkout && state.activeWorkout.restTimer;
+    if (!timer || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    if (document.visibilityState === 'visible') return;
+    postToServiceWorker({
+        type: 'rest-timer-schedule',
+        endsAt: timer.endsAt,
+        title: 'Rest over',
+        body: timer.exerciseName ? `Time for your next set after ${timer.exerciseName}.` : 'Time for your next set.'
+    });
+}
+
+function cancelRestNotification() {
+    postToServiceWorker({ type: 'rest-timer-cancel' });
+}
+
+// One shared context for all cues: browsers cap how many can be open at once
+let beepAudioContext = null;
+
+function playRestDoneBeep(frequency = 880, count = 3) {
     try {
-        const ctx = new(window.AudioContext || window.webkitAudioContext)();
-        [0, 0.15, 0.30].forEach(offset => {
+        if (!beepAudioContext) beepAudioContext = new(window.AudioContext || window.webkitAudioContext)();
+        const ctx = beepAudioContext;
+        if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+        Array.from({ length: count }, (_, i) => i * 0.15).forEach(offset => {
             const osc = ctx.createOscillator();
             const gain = ctx.createGain();
             osc.connect(gain);
             gain.connect(ctx.destination);
-            osc.frequency.value = 880;
+            osc.frequency.value = frequency;
             osc.type = 'sine';
             gain.gain.setValueAtTime(0.3, ctx.currentTime + offset);
             gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.2);
@@ -319,57 +1091,659 @@ function playRestDoneBeep() {
     } catch (e) {}
 }
 
-// --- Weight Unit ---
-window.setWeightUnit = function(unit) {
-    state.weightUnit = unit;
-    saveState();
-    const lbsBtn = document.getElementById('unitLbs');
-    const kgBtn = document.getElementById('unitKg');
-    if (lbsBtn) lbsBtn.classList.toggle('active', unit === 'lbs');
-    if (kgBtn) kgBtn.classList.toggle('active', unit === 'kg');
-    if(state.activeWorkout) renderActiveExercises();
+// --- Interval Timer ---
+// Conditioning timer for Tabata, EMOM, AMRAP windows and custom work/rest circuits. Like the rest
+// timer it is driven by timestamps; finished (or stopped) runs are logged to state.activeWorkout.intervals.
+const INTERVAL_MODES = {
+    tabata: { label: 'Tabata', work: 20, rest: 10, rounds: 8 },
+    emom: { label: 'EMOM', work: 60, rest: 0, rounds: 10 },
+    amrap: { label: 'AMRAP', work: 600, rest: 0, rounds: 1 },
+    custom: { label: 'Custom', work: 40, rest: 20, rounds: 5 }
 };
+const INTERVAL_PREPARE_SECONDS = 5;
+const INTERVAL_PHASE_LABELS = { prepare: 'Get Ready', work: 'Work', rest: 'Rest' };
 
-function getWeightUnitLabel() {
-    return state.weightUnit || 'lbs';
+let intervalTimer = null;
+let intervalTimerInterval = null;
+
+function buildIntervalPhases(work, rest, rounds) {
+    const phases = [{ kind: 'prepare', round: 0, duration: INTERVAL_PREPARE_SECONDS }];
+    for (let round = 1; round <= rounds; round++) {
+        phases.push({ kind: 'work', round, duration: work });
+        if (rest > 0 && round < rounds) phases.push({ kind: 'rest', round, duration: rest });
+    }
+    return phases;
 }
 
-// Initialize with Async DB
-async function initializeApp() {
-    try {
-        const savedState = await db.load();
+function getIntervalElapsed(timer) {
+    return ((timer.pausedAt || Date.now()) - timer.startedAt - timer.pausedMs) / 1000;
+}
 
-        if (savedState) {
-            state = {
-                ...state,
-                ...savedState
-            };
+// Returns the current phase index (phases.length once finished) and the seconds left in it
+function getIntervalPosition(timer) {
+    let elapsed = getIntervalElapsed(timer);
+    for (let i = 0; i < timer.phases.length; i++) {
+        if (elapsed < timer.phases[i].duration) return { index: i, remaining: timer.phases[i].duration - elapsed };
+        elapsed -= timer.phases[i].duration;
+    }
+    return { index: timer.phases.length, remaining: 0 };
+}
+
+function getCompletedIntervalRounds(timer) {
+    const position = getIntervalPosition(timer);
+    return timer.phases.filter((phase, i) => phase.kind === 'work' && i < position.index).length;
+}
+
+function formatIntervalSummary(entry) {
+    const mode = INTERVAL_MODES[entry.mode] || INTERVAL_MODES.custom;
+    if (entry.mode === 'amrap') {
+        return `AMRAP ${formatDuration(entry.work)}${entry.result ? ` • ${entry.result} rounds` : ''}`;
+    }
+    if (entry.mode === 'emom') {
+        return `EMOM • ${entry.completedRounds}/${entry.rounds} × ${formatDuration(entry.work)}`;
+    }
+    return `${mode.label} • ${entry.completedRounds}/${entry.rounds} rounds of ${entry.work}s work / ${entry.rest}s rest`;
+}
+
+window.openIntervalSetup = function() {
+    applyIntervalMode('tabata');
+    setModalOpen('intervalSetupModal');
+};
+
+function closeIntervalSetup() {
+    setModalClose('intervalSetupModal');
+}
+
+window.applyIntervalMode = function(mode) {
+    const preset = INTERVAL_MODES[mode] || INTERVAL_MODES.custom;
+    document.getElementById('intervalModeInput').value = mode;
+    document.getElementById('intervalWorkInput').value = formatDuration(preset.work);
+    document.getElementById('intervalRestInput').value = preset.rest;
+    document.getElementById('intervalRoundsInput').value = preset.rounds;
+    document.getElementById('intervalRestGroup').classList.toggle('hidden', mode === 'emom' || mode === 'amrap');
+    document.getElementById('intervalRoundsGroup').classList.toggle('hidden', mode === 'amrap');
+};
+
+function startIntervalTimer() {
+    const mode = document.getElementById('intervalModeInput').value;
+    const work = parseInt(parseDurationInput(document.getElementById('intervalWorkInput').value)) || 0;
+    const rest = mode === 'emom' || mode === 'amrap' ? 0 : parseInt(document.getElementById('intervalRestInput').value) || 0;
+    const rounds = mode === 'amrap' ? 1 : parseInt(document.getElementById('intervalRoundsInput').value) || 0;
+
+    if (work <= 0 || rounds <= 0) {
+        alert('Enter a work time and at least one round.');
+        return;
+    }
+    if (rounds > 100) {
+        alert('Rounds cannot exceed 100.');
+        return;
+    }
+
+    intervalTimer = {
+        mode: INTERVAL_MODES[mode] ? mode : 'custom',
+        work,
+        rest,
+        rounds,
+        phases: buildIntervalPhases(work, rest, rounds),
+        startedAt: Date.now(),
+        pausedAt: null,
+        pausedMs: 0,
+        phaseIndex: 0
+    };
+    closeIntervalSetup();
+    setModalOpen('intervalTimerOverlay');
+    clearInterval(intervalTimerInterval);
+    intervalTimerInterval = setInterval(runIntervalTimerTick, 250);
+    runIntervalTimerTick();
+}
+
+function runIntervalTimerTick() {
+    if (!intervalTimer) return;
+    const position = getIntervalPosition(intervalTimer);
+
+    if (position.index >= intervalTimer.phases.length) {
+        playRestDoneBeep();
+        stopIntervalTimer(true);
+        return;
+    }
+    // Distinct cues: a high double beep to work, a single low beep to rest
+    if (position.index !== intervalTimer.phaseIndex) {
+        intervalTimer.phaseIndex = position.index;
+        if (intervalTimer.phases[position.index].kind === 'work') playRestDoneBeep(1320, 2);
+        else playRestDoneBeep(440, 1);
+    }
+    updateIntervalTimerDisplay(position);
+}
+
+function updateIntervalTimerDisplay(position) {
+    const phase = intervalTimer.phases[position.index];
+    const remaining = Math.ceil(position.remaining);
+    const label = document.getElementById('intervalTimerPhase');
+    const countdown = document.getElementById('intervalTimerCountdown');
+    const ring = document.getElementById('intervalTimerRingProgress');
+    const roundEl = document.getElementById('intervalTimerRound');
+    const pauseBtn = document.getElementById('intervalTimerPauseBtn');
+    if (!label || !countdown || !ring) return;
+
+    label.textContent = INTERVAL_PHASE_LABELS[phase.kind];
+    countdown.textContent = remaining >= 60 ? formatDuration(remaining) : remaining;
+    countdown.classList.toggle('long', remaining >= 60);
+    setTimerRing(ring, position.remaining, phase.duration);
+    ring.classList.toggle('rest-phase', phase.kind !== 'work');
+    if (roundEl) {
+        const modeLabel = INTERVAL_MODES[intervalTimer.mode].label;
+        roundEl.textContent = intervalTimer.mode === 'amrap' ? modeLabel : `${modeLabel} • Round ${Math.max(1, phase.round)} / ${intervalTimer.rounds}`;
+    }
+    if (pauseBtn) pauseBtn.textContent = intervalTimer.pausedAt ? 'RESUME' : 'PAUSE';
+}
+
+window.toggleIntervalPause = function() {
+    if (!intervalTimer) return;
+    if (intervalTimer.pausedAt) {
+        intervalTimer.pausedMs += Date.now() - intervalTimer.pausedAt;
+        intervalTimer.pausedAt = null;
+    } else {
+        intervalTimer.pausedAt = Date.now();
+    }
+    runIntervalTimerTick();
+};
+
+// Stopping early still logs the rounds that were finished
+window.stopIntervalTimer = function(finished = false) {
+    if (!intervalTimer) return;
+    const timer = intervalTimer;
+    clearInterval(intervalTimerInterval);
+    intervalTimerInterval = null;
+    intervalTimer = null;
+    setModalClose('intervalTimerOverlay');
+
+    const completedRounds = finished ? timer.rounds : getCompletedIntervalRounds(timer);
+    if (completedRounds === 0 || !state.activeWorkout) return;
+
+    const entry = {
+        mode: timer.mode,
+        work: timer.work,
+        rest: timer.rest,
+        rounds: timer.rounds,
+        completedRounds,
+        duration: Math.max(0, Math.round(getIntervalElapsed(timer) - INTERVAL_PREPARE_SECONDS)),
+        completedAt: new Date().toISOString()
+    };
+    if (timer.mode === 'amrap') {
+        const result = parseInt(prompt('How many rounds did you complete?', ''));
+        if (result > 0) entry.result = result;
+    }
+    if (!Array.isArray(state.activeWorkout.intervals)) state.activeWorkout.intervals = [];
+    state.activeWorkout.intervals.push(entry);
+    saveState();
+    renderActiveIntervals();
+    showToast(`Logged ${formatIntervalSummary(entry)}`);
+};
+
+function renderActiveIntervals() {
+    const list = document.getElementById('activeIntervalsList');
+    if (!list) return;
+    const intervals = state.activeWorkout && Array.isArray(state.activeWorkout.intervals) ? state.activeWorkout.intervals : [];
+    list.innerHTML = intervals.map((entry, i) => `
+        <div class="workout-card flex justify-between items-center">
+            <div class="flex flex-col">
+                <span class="font-medium">⏱ ${escapeHtml(formatIntervalSummary(entry))}</span>
+                <span class="text-xs text-secondary">${formatDuration(entry.duration)} total</span>
+            </div>
+            <button class="btn-icon-sm btn-transparent-danger" onclick="removeActiveInterval(${i})">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>
+        </div>
+    `).join('');
+}
+
+window.removeActiveInterval = function(index) {
+    if (confirm('Remove this interval log?')) {
+        state.activeWorkout.intervals.splice(index, 1);
+        renderActiveIntervals();
+        saveState();
+    }
+};
+
+// --- Weight Unit ---
+// Weights are stored as plain numbers in the current unit, so switching units converts every stored weight once.
+// Other devices may use the other unit: synced changes carry their unit and are converted when pulled.
+const KG_PER_LB = 0.45359237;
+
+// Blank and non-numeric values pass through untouched so "BW" / empty sets stay as they were
+function convertWeight(weight, fromUnit, toUnit) {
+    if (fromUnit === toUnit || weight === '' || weight === null || weight === undefined) return weight;
+    const value = parseFloat(weight);
+    if (isNaN(value)) return weight;
+    const converted = fromUnit === 'kg' ? value / KG_PER_LB : value * KG_PER_LB;
+    // Two decimals in kg keeps a round trip back to lbs exact to one decimal
+    const precision = toUnit === 'kg' ? 100 : 10;
+    return Math.round(converted * precision) / precision;
+}
+
+function convertWorkoutWeights(workout, fromUnit, toUnit) {
+    (workout.exercises || []).forEach(ex => {
+        (ex.sets || []).forEach(set => { set.weight = convertWeight(set.weight, fromUnit, toUnit); });
+    });
+}
+
+// Converts the weights held by one entity record in place. Also used for records pulled by sync,
+// which carry the unit of the device that wrote them. Exercise increments keep their own unit
+// (incrementUnit) instead, since 5 lbs converted is no plate anyone owns.
+function convertRecordWeights(collection, record, fromUnit, toUnit) {
+    if (!record) return;
+    if (collection === 'workoutHistory') convertWorkoutWeights(record, fromUnit, toUnit);
+    else if (collection === 'bodyweightHistory') record.weight = convertWeight(record.weight, fromUnit, toUnit);
+}
+
+function convertStateWeights(data, fromUnit, toUnit) {
+    ['workoutHistory', 'bodyweightHistory'].forEach(collection => {
+        (data[collection] || []).forEach(record => convertRecordWeights(collection, record, fromUnit, toUnit));
+    });
+    if (data.activeWorkout) convertWorkoutWeights(data.activeWorkout, fromUnit, toUnit);
+}
+
+window.setWeightUnit = async function(unit) {
+    const fromUnit = getWeightUnitLabel();
+    if (unit === fromUnit) return;
+
+    const hasWeights = state.workoutHistory.length > 0 || state.bodyweightHistory.length > 0 || state.activeWorkout;
+    if (hasWeights) {
+        if (!confirm(`Convert all logged weights from ${fromUnit} to ${unit}? A snapshot of the current data is kept first.`)) {
+            renderSettingsPreferences();
+            return;
         }
-        
-        // Migration to week-to-week program support
-        if (state.programs && state.programs.length > 0) {
-            state.programs.forEach(p => {
-                if (p.workouts && !p.schedule) {
+        await createSnapshot('unit');
+        convertStateWeights(state, fromUnit, unit);
+        markAllDirty();
+    }
+
+    state.weightUnit = unit;
+    await saveState();
+    renderSettingsPreferences();
+    renderTrainingTab();
+    renderProgressDashboard();
+    renderBodyweight();
+    if(state.activeWorkout) renderActiveExercises();
+    if (hasWeights) showToast(`Weights converted to ${unit}`);
+};
+
+function getWeightUnitLabel() {
+    return state.weightUnit || 'lbs';
+}
+
+// --- Plate Calculator ---
+// Each unit keeps its own bar and plate inventory, so switching units never needs a conversion.
+// Plate counts are totals in the gym; a plate can only be used in pairs, one per side.
+const DEFAULT_PLATE_INVENTORY = {
+    lbs: {
+        bar: 45,
+        plates: [{ weight: 45, count: 8 }, { weight: 35, count: 2 }, { weight: 25, count: 2 }, { weight: 10, count: 4 }, { weight: 5, count: 2 }, { weight: 2.5, count: 2 }]
+    },
+    kg: {
+        bar: 20,
+        plates: [{ weight: 25, count: 8 }, { weight: 20, count: 2 }, { weight: 15, count: 2 }, { weight: 10, count: 2 }, { weight: 5, count: 2 }, { weight: 2.5, count: 2 }, { weight: 1.25, count: 2 }]
+    }
+};
+const plateComboCache = new Map();
+
+function isValidPlateInventory(inventory) {
+    return isPlainObject(inventory)
+        && typeof inventory.bar === 'number' && inventory.bar >= 0
+        && Array.isArray(inventory.plates)
+        && inventory.plates.every(plate => isPlainObject(plate) && typeof plate.weight === 'number' && plate.weight > 0 && parseInt(plate.count) >= 0);
+}
+
+function getPlateInventory() {
+    const unit = getWeightUnitLabel();
+    const saved = isPlainObject(state.plateInventory) ? state.plateInventory[unit] : null;
+    return isValidPlateInventory(saved) ? saved : deepClone(DEFAULT_PLATE_INVENTORY[unit]);
+}
+
+function savePlateInventory(inventory) {
+    state.plateInventory = { ...(isPlainObject(state.plateInventory) ? state.plateInventory : {}), [getWeightUnitLabel()]: inventory };
+    saveState();
+}
+
+// Every per-side load the inventory can make (in hundredths), mapped to one set of plates for it
+function getPlateCombos(inventory) {
+    const key = JSON.stringify(inventory.plates);
+    if (plateComboCache.has(key)) return plateComboCache.get(key);
+    let combos = new Map([[0, []]]);
+    [...inventory.plates].sort((a, b) => b.weight - a.weight).forEach(plate => {
+        const step = Math.round(plate.weight * 100);
+        const perSide = Math.floor((parseInt(plate.count) || 0) / 2);
+        if (step <= 0 || perSide <= 0) return;
+        const next = new Map(combos);
+        combos.forEach((plates, sum) => {
+            for (let k = 1; k <= perSide; k++) {
+                const total = sum + step * k;
+                if (!next.has(total)) next.set(total, [...plates, ...Array(k).fill(plate.weight)]);
+            }
+        });
+        combos = next;
+    });
+    plateComboCache.set(key, combos);
+    return combos;
+}
+
+function getLoadableWeights(inventory) {
+    const bar = Math.round((parseFloat(inventory.bar) || 0) * 100);
+    return [...getPlateCombos(inventory).keys()].map(side => (bar + side * 2) / 100).sort((a, b) => a - b);
+}
+
+function getNearestLoadable(weight, inventory) {
+    const loadable = getLoadableWeights(inventory);
+    const below = loadable.filter(w => w <= weight + 1e-9).pop();
+    const above = loadable.find(w => w >= weight - 1e-9);
+    return { below: below !== undefined ? below : null, above: above !== undefined ? above : null };
+}
+
+// Returns the plates per side for the heaviest loadable weight not above the target
+function calculatePlates(target, inventory) {
+    const bar = parseFloat(inventory.bar) || 0;
+    const nearest = getNearestLoadable(target, inventory);
+    if (nearest.below === null) return { plates: [], loaded: bar, exact: false, nearest };
+    const side = Math.round((nearest.below - bar) * 100 / 2);
+    return {
+        plates: getPlateCombos(inventory).get(side) || [],
+        loaded: nearest.below,
+        exact: Math.abs(nearest.below - target) < 1e-9,
+        nearest
+    };
+}
+
+window.openPlateCalculator = function(exIndex, setIndex) {
+    const exercise = state.activeWorkout && state.activeWorkout.exercises[exIndex];
+    if (!exercise) return;
+    if (setIndex === undefined || setIndex === null) {
+        setIndex = exercise.sets.findIndex(s => !s.completed);
+        if (setIndex === -1) setIndex = exercise.sets.length - 1;
+    }
+    const set = exercise.sets[setIndex];
+    plateCalculatorTarget = set ? { exIndex, setIndex } : null;
+    document.getElementById('plateTargetInput').value = set && set.weight ? set.weight : '';
+    document.getElementById('plateTargetUnit').textContent = getWeightUnitLabel();
+    renderPlateCalculator();
+    setModalOpen('plateCalculatorModal');
+};
+
+function closePlateCalculator() {
+    setModalClose('plateCalculatorModal');
+    plateCalculatorTarget = null;
+}
+
+function renderPlateCalculator() {
+    const result = document.getElementById('plateCalculatorResult');
+    const applyBtn = document.getElementById('applyPlateWeightBtn');
+    if (!result) return;
+    const unit = getWeightUnitLabel();
+    const inventory = getPlateInventory();
+    const target = parseFloat(document.getElementById('plateTargetInput').value);
+
+    if (isNaN(target) || target <= 0) {
+        result.innerHTML = `<div class="text-center text-secondary p-4">Enter a target weight. Bar: ${inventory.bar} ${unit}</div>`;
+        if (applyBtn) applyBtn.classList.add('hidden');
+        return;
+    }
+
+    const calc = calculatePlates(target, inventory);
+    const nearestBtns = [calc.nearest.below, calc.nearest.above]
+        .filter((w, i, arr) => w !== null && arr.indexOf(w) === i)
+        .map(w => `<button class="btn-secondary btn-sm" onclick="setPlateTarget(${w})">${w} ${unit}</button>`).join('');
+
+    result.innerHTML = `
+        <div class="text-center text-secondary text-sm mb-2">Per side on a ${inventory.bar} ${unit} bar</div>
+        <div class="plate-stack mb-4">
+            ${calc.plates.length > 0 ? calc.plates.map(w => `<span class="plate-chip">${w}</span>`).join('') : '<span class="text-secondary">Empty bar</span>'}
+        </div>
+        <div class="text-center font-bold text-lg">${calc.loaded} ${unit}</div>
+        ${calc.exact ? '' : `
+            <div class="text-center text-warning text-sm mt-2 mb-2">${target} ${unit} can't be loaded exactly with your plates.</div>
+            <div class="flex justify-center gap-2">${nearestBtns}</div>
+        `}
+    `;
+    if (applyBtn) {
+        applyBtn.classList.toggle('hidden', !plateCalculatorTarget);
+        applyBtn.textContent = `Use ${calc.exact ? target : calc.loaded} ${unit}`;
+        applyBtn.dataset.weight = calc.exact ? target : calc.loaded;
+    }
+}
+
+window.setPlateTarget = function(weight) {
+    document.getElementById('plateTargetInput').value = weight;
+    renderPlateCalculator();
+};
+
+function applyPlateWeight() {
+    const btn = document.getElementById('applyPlateWeightBtn');
+    const exercise = plateCalculatorTarget && state.activeWorkout && state.activeWorkout.exercises[plateCalculatorTarget.exIndex];
+    const set = exercise && exercise.sets[plateCalculatorTarget.setIndex];
+    if (!set || !btn) return;
+    set.weight = parseFloat(btn.dataset.weight);
+    saveState();
+    closePlateCalculator();
+    renderActiveExercises();
+}
+
+function renderPlateInventory() {
+    const container = document.getElementById('plateInventoryList');
+    if (!container) return;
+    const unit = getWeightUnitLabel();
+    const inventory = getPlateInventory();
+    document.getElementById('barWeightInput').value = inventory.bar;
+    document.querySelectorAll('.plate-unit-label').forEach(el => { el.textContent = unit; });
+    container.innerHTML = [...inventory.plates].sort((a, b) => b.weight - a.weight).map(plate => `
+        <div class="flex justify-between items-center py-2 border-b">
+            <span class="font-medium">${plate.weight} ${unit}</span>
+            <div class="flex items-center gap-2">
+                <input type="text" inputmode="numeric" class="input-field text-center p-1" style="width: 50px; min-height: 0;" value="${plate.count}"
+                    oninput="enforceNumeric(this, false); updatePlateCount(${plate.weight}, this.value)">
+                <span class="text-xs text-secondary">plates</span>
+                <button class="btn-text-danger btn-sm" onclick="removePlate(${plate.weight})">Remove</button>
+            </div>
+        </div>
+    `).join('') || '<div class="text-secondary text-sm py-2">No plates yet.</div>';
+}
+
+window.updateBarWeight = function(value) {
+    const inventory = getPlateInventory();
+    inventory.bar = parseFloat(String(value).substring(0, 6)) || 0;
+    savePlateInventory(inventory);
+};
+
+window.updatePlateCount = function(weight, value) {
+    const inventory = getPlateInventory();
+    const plate = inventory.plates.find(p => p.weight === weight);
+    if (!plate) return;
+    plate.count = Math.min(parseInt(String(value).substring(0, 3)) || 0, 100);
+    savePlateInventory(inventory);
+};
+
+window.removePlate = function(weight) {
+    const inventory = getPlateInventory();
+    inventory.plates = inventory.plates.filter(p => p.weight !== weight);
+    savePlateInventory(inventory);
+    renderPlateInventory();
+};
+
+window.addPlate = function() {
+    const input = document.getElementById('newPlateInput');
+    const weight = Math.round(parseFloat(input.value) * 100) / 100;
+    if (!(weight > 0)) {
+        alert('Enter a plate weight.');
+        return;
+    }
+    const inventory = getPlateInventory();
+    if (inventory.plates.some(p => p.weight === weight)) {
+        alert('That plate is already in your inventory.');
+        return;
+    }
+    inventory.plates.push({ weight, count: 2 });
+    savePlateInventory(inventory);
+    input.value = '';
+    renderPlateInventory();
+};
+
+// --- Equipment & Increments ---
+// Built-in exercises carry their equipment; custom ones without it get a guess from their name, or
+// none when the name doesn't say. The smallest increment defaults per equipment and unit. An
+// exercise's own increment is saved with its unit and only overrides the default in that unit.
+const EQUIPMENT_TYPES = {
+    barbell: { label: 'Barbell', increment: { lbs: 5, kg: 2.5 } },
+    dumbbell: { label: 'Dumbbell', increment: { lbs: 5, kg: 2 } },
+    cable: { label: 'Cable', increment: { lbs: 5, kg: 2.5 } },
+    machine: { label: 'Machine', increment: { lbs: 10, kg: 5 } },
+    bodyweight: { label: 'Bodyweight', increment: { lbs: 5, kg: 2.5 } },
+    kettlebell: { label: 'Kettlebell', increment: { lbs: 9, kg: 4 } }
+};
+// Steps for exercises with no known equipment; their weights are never rounded
+const DEFAULT_WEIGHT_INCREMENT = { lbs: 5, kg: 2.5 };
+const EQUIPMENT_NAME_PATTERNS = [
+    // Equipment named outright wins over the movement, so "Cable Lateral Raise" is a cable exercise
+    ['barbell', /barbell/i],
+    ['dumbbell', /dumbbell|\bdb\b/i],
+    ['kettlebell', /kettlebell|\bkb\b/i],
+    ['cable', /cable/i],
+    ['machine', /machine|smith|nautilus/i],
+    // Then movements that are only done one way
+    ['cable', /pulldown|pushdown|face pull|crossover/i],
+    ['machine', /pendulum|leg press|leg extension|leg curl|hack squat|pec deck/i],
+    ['dumbbell', /arnold|concentration|goblet/i],
+    ['barbell', /bench press|deadlift|overhead press|hip thrust|power clean|snatch/i]
+];
+
+function inferEquipment(exercise) {
+    if (exercise.bodyweightMode) return 'bodyweight';
+    const match = EQUIPMENT_NAME_PATTERNS.find(([, pattern]) => pattern.test(exercise.name || ''));
+    return match ? match[0] : null;
+}
+
+// Returns null when the equipment is neither set nor obvious from the name
+function getEquipment(exerciseId) {
+    const exercise = state.exercises.find(e => e.id === exerciseId);
+    if (!exercise) return null;
+    return EQUIPMENT_TYPES[exercise.equipment] ? exercise.equipment : inferEquipment(exercise);
+}
+
+function getDefaultIncrement(equipment) {
+    const unit = getWeightUnitLabel();
+    return EQUIPMENT_TYPES[equipment] ? EQUIPMENT_TYPES[equipment].increment[unit] : DEFAULT_WEIGHT_INCREMENT[unit];
+}
+
+function getCustomIncrement(exercise) {
+    const custom = exercise ? parseFloat(exercise.increment) : NaN;
+    return custom > 0 && exercise.incrementUnit === getWeightUnitLabel() ? custom : null;
+}
+
+function getWeightIncrement(exerciseId) {
+    const custom = getCustomIncrement(state.exercises.find(e => e.id === exerciseId));
+    return custom || getDefaultIncrement(getEquipment(exerciseId));
+}
+
+function getQuickAdjustSteps(exerciseId) {
+    const increment = getWeightIncrement(exerciseId);
+    return [-2, -1, 1, 2].map(multiple => Math.round(multiple * increment * 100) / 100);
+}
+
+// Barbells snap to what the plate inventory can load; everything else to a multiple of the increment.
+// A barbell weight under the bar or past the inventory has nothing to snap between, so it's left alone.
+function roundToLoadable(weight, exerciseId) {
+    const value = parseFloat(weight);
+    if (isNaN(value) || value <= 0) return weight;
+    const equipment = getEquipment(exerciseId);
+    if (!equipment) return weight;
+    if (equipment === 'barbell' && !getBodyweightMode(exerciseId)) {
+        const nearest = getNearestLoadable(value, getPlateInventory());
+        if (nearest.below === null || nearest.above === null) return weight;
+        return value - nearest.below <= nearest.above - value ? nearest.below : nearest.above;
+    }
+    const increment = getWeightIncrement(exerciseId);
+    return Math.round(Math.round(value / increment) * increment * 100) / 100;
+}
+
+// Autofilled weights come from history, so any rounding is collected here and shown once the sets are built
+let autofillRoundings = [];
+
+function roundAutofillWeight(weight, exerciseId) {
+    const rounded = roundToLoadable(weight, exerciseId);
+    if (parseFloat(rounded) !== parseFloat(weight)) {
+        const exercise = state.exercises.find(e => e.id === exerciseId);
+        const note = `${exercise ? exercise.name : 'Exercise'} ${weight} → ${rounded}`;
+        if (!autofillRoundings.includes(note)) autofillRoundings.push(note);
+    }
+    return rounded;
+}
+
+function showAutofillRoundings() {
+    if (autofillRoundings.length === 0) return;
+    const more = autofillRoundings.length > 3 ? ` and ${autofillRoundings.length - 3} more` : '';
+    showToast(`Last weights rounded to loadable ${getWeightUnitLabel()}: ${autofillRoundings.slice(0, 3).join(', ')}${more}`);
+    autofillRoundings = [];
+}
+
+// --- Effort (RPE / RIR) ---
+// Effort is always stored as RPE (0-10). Lifters who prefer RIR see and type 10 - RPE instead.
+window.setEffortScale = function(scale) {
+    state.effortScale = scale;
+    saveState();
+    renderSettingsPreferences();
+    if(state.activeWorkout) renderActiveExercises();
+};
+
+function getEffortLabel() {
+    return state.effortScale === 'rir' ? 'RIR' : 'RPE';
+}
+
+function formatEffort(rpe) {
+    const value = parseFloat(rpe);
+    if (isNaN(value)) return '';
+    return String(state.effortScale === 'rir' ? Math.round((10 - value) * 10) / 10 : value);
+}
+
+function parseEffortInput(value) {
+    const parsed = parseFloat(String(value).substring(0, 4));
+    if (isNaN(parsed)) return '';
+    const clamped = Math.min(10, Math.max(0, parsed));
+    const rpe = state.effortScale === 'rir' ? 10 - clamped : clamped;
+    return Math.round(rpe * 10) / 10;
+}
+
+// --- Schema Migrations ---
+// Bump SCHEMA_VERSION and append a step whenever the shape of persisted state changes.
+// Steps run in order on load and on import, for every step newer than the data's schemaVersion.
+const SCHEMA_VERSION = 8;
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Week-to-week program schedules',
+        migrate: (data) => {
+            (Array.isArray(data.programs) ? data.programs : []).forEach(p => {
+                if (p && p.workouts && !p.schedule) {
                     p.schedule = [];
-                    for(let i = 0; i < p.weeks; i++) {
+                    for (let i = 0; i < p.weeks; i++) {
                         p.schedule.push(deepClone(p.workouts));
                     }
                     delete p.workouts;
                 }
             });
         }
-        
-        // Migration: Ensure categories are strictly lowercase and map any missing to 'other'
-        if (state.exercises && state.exercises.length > 0) {
-            state.exercises.forEach(ex => {
-                if (!ex.category) {
-                    ex.category = 'other';
-                } else {
-                    ex.category = ex.category.toLowerCase();
-                }
+    },
+    {
+        version: 2,
+        description: 'Lowercase exercise categories',
+        migrate: (data) => {
+            (Array.isArray(data.exercises) ? data.exercises : []).forEach(ex => {
+                if (ex && typeof ex === 'object') ex.category = ex.category ? String(ex.category).toLowerCase() : 'other';
             });
-
-            // Migration: Add Jeff Nippard exercises for existing users
+        }
+    },
+    {
+        version: 3,
+        description: 'Add Jeff Nippard exercises',
+        migrate: (data) => {
+            if (!Array.isArray(data.exercises) || data.exercises.length === 0) return;
             const nippardExercises = [
                 {id: 101, name: 'Bayesian Cable Curl', category: 'biceps', restTime: 60},
                 {id: 102, name: 'Cable Y-Raise', category: 'lateral deltoid', restTime: 60},
@@ -383,112 +1757,219 @@ async function initializeApp() {
                 {id: 110, name: 'Katana Cable Triceps Extension', category: 'triceps', restTime: 60},
                 {id: 111, name: 'Nautilus Glute Drive', category: 'glutes', restTime: 120}
             ];
-            
             nippardExercises.forEach(ne => {
-                if (!state.exercises.some(ex => ex.name === ne.name)) {
-                    state.exercises.push(ne);
+                if (!data.exercises.some(ex => ex && ex.name === ne.name)) {
+                    data.exercises.push(ne);
                 }
             });
         }
-        
+    },
+    {
+        version: 4,
+        description: 'Tracking types for timed and distance exercises',
+        migrate: (data) => {
+            const defaults = { 'Plank': 'duration', 'Farmer\'s Walk': 'weight_distance' };
+            (Array.isArray(data.exercises) ? data.exercises : []).forEach(ex => {
+                if (ex && typeof ex === 'object' && !ex.trackingType && defaults[ex.name]) ex.trackingType = defaults[ex.name];
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Flag bodyweight exercises',
+        migrate: (data) => {
+            const bodyweightExercises = ['Pull-Up', 'Chin-Up', 'Push-Ups', 'Tricep Dips'];
+            (Array.isArray(data.exercises) ? data.exercises : []).forEach(ex => {
+                if (ex && typeof ex === 'object' && !ex.bodyweightMode && bodyweightExercises.includes(ex.name)) ex.bodyweightMode = 'added';
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Flag unilateral exercises',
+        migrate: (data) => {
+            const unilateralExercises = ['Bulgarian Split Squat', 'Dumbbell Row', 'Concentration Curl'];
+            (Array.isArray(data.exercises) ? data.exercises : []).forEach(ex => {
+                if (ex && typeof ex === 'object' && ex.unilateral === undefined && unilateralExercises.includes(ex.name)) ex.unilateral = true;
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Equipment for the built-in exercises',
+        migrate: (data) => {
+            const equipmentExercises = {
+                barbell: ['Barbell Bench Press', 'Barbell Curl', 'Barbell Hip Thrust', 'Barbell Row', 'Barbell Shrug', 'Barbell Side Bend', 'Barbell Squat', 'Close Grip Bench Press', 'Deadlift', 'Decline Barbell Bench Press', 'Deficit Pendlay Row', 'EZ Bar Curl', 'Front Squat', 'Good Mornings', 'Incline Barbell Bench Press', 'Meadows Row', 'Overhead Press', 'Reverse Barbell Curl', 'Romanian Deadlift', 'Stiff-Legged Deadlift', 'T-Bar Row'],
+                dumbbell: ['Arnold Press', 'Bulgarian Split Squat', 'Concentration Curl', 'Dumbbell Bench Press', 'Dumbbell Curl', 'Dumbbell Fly', 'Dumbbell Kickback', 'Dumbbell Row', 'Dumbbell Shoulder Press', 'Dumbbell Shrug', 'Farmer\'s Walk', 'Front Raise', 'Goblet Squat', 'Hammer Curl', 'Incline Dumbbell Bench Press', 'Incline Dumbbell Curl', 'Lateral Raise', 'Lean-In Dumbbell Lateral Raise', 'Overhead Tricep Extension', 'Preacher Curl', 'Reverse Dumbbell Fly', 'Reverse Wrist Curl', 'Skullcrusher', 'Walking Lunges', 'Wrist Curl'],
+                cable: ['Bayesian Cable Curl', 'Cable Crunch', 'Cable Crossover', 'Cable Curl', 'Cable Hip Abduction', 'Cable Hip Adduction', 'Cable Lat Prayers', 'Cable Lateral Raise', 'Cable Pull Through', 'Cable Y-Raise', 'Face Pull', 'Glute Kickback', 'Katana Cable Triceps Extension', 'Lat Pulldown', 'Reverse Cable Crossover', 'Seated Cable Row', 'Straight Arm Pulldown', 'Tricep Pushdown'],
+                machine: ['Chest-Supported T-Bar Row', 'Hack Squat', 'Hip Abduction Machine', 'Hip Adduction Machine', 'Leg Extension', 'Leg Press', 'Leg Press Calf Raise', 'Lying Leg Curl', 'Machine Chest Press', 'Machine Lateral Raise', 'Machine Row', 'Nautilus Glute Drive', 'Pec Deck Fly', 'Pendulum Squat', 'Reverse Pec Deck', 'Seated Calf Raise', 'Seated Leg Curl', 'Standing Calf Raise'],
+                bodyweight: ['Ab Wheel Rollout', 'Chin-Up', 'Crunch', 'Decline Crunch', 'Hanging Knee Raise', 'Hanging Leg Raise', 'Plank', 'Pull-Up', 'Push-Ups', 'Russian Twist', 'Tricep Dips'],
+                kettlebell: ['Kettlebell Swing']
+            };
+            (Array.isArray(data.exercises) ? data.exercises : []).forEach(ex => {
+                if (!ex || typeof ex !== 'object' || ex.equipment) return;
+                const equipment = Object.keys(equipmentExercises).find(type => equipmentExercises[type].includes(ex.name));
+                if (equipment) ex.equipment = equipment;
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Unit for custom weight increments',
+        migrate: (data) => {
+            const unit = data.weightUnit || 'lbs';
+            (Array.isArray(data.exercises) ? data.exercises : []).forEach(ex => {
+                if (ex && typeof ex === 'object' && ex.increment !== undefined && !ex.incrementUnit) ex.incrementUnit = unit;
+            });
+        }
+    }
+];
+
+// Upgrades data in place to SCHEMA_VERSION. Throws if the data comes from a newer app.
+function migrateState(data) {
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`This data was saved by a newer version of the app (schema v${fromVersion}, this app supports v${SCHEMA_VERSION}). Please update the app first.`);
+    }
+    MIGRATIONS.forEach(step => {
+        if (step.version > fromVersion) step.migrate(data);
+    });
+    data.schemaVersion = SCHEMA_VERSION;
+    return data;
+}
+
+// --- Dirty Records ---
+// Saves only write the entity records marked here. Mark a record whenever it's added, edited or
+// removed; bulk rewrites (migrations, imports, unit conversion) mark everything.
+let dirtyRecords = { all: false, ids: {} };
+
+function markDirty(collection, id) {
+    if (!dirtyRecords.ids[collection]) dirtyRecords.ids[collection] = new Set();
+    dirtyRecords.ids[collection].add(id);
+}
+
+function markAllDirty() {
+    dirtyRecords.all = true;
+}
+
+// Initialize with Async DB
+async function initializeApp() {
+    try {
+        const savedState = await db.load();
+        await loadSyncConfig();
+        await loadWebdavConfig();
+
+        if (savedState) {
+            const savedVersion = savedState.schemaVersion || 0;
+            state = {
+                ...state,
+                ...migrateState(savedState)
+            };
+            if (savedVersion < SCHEMA_VERSION) {
+                markAllDirty();
+                await saveState();
+            }
+        }
+
         if (!state.exercises || state.exercises.length < 50 || state.exercises.some(e => e.name === '')) {
             state.exercises = [
-                {id: 75, name: 'Ab Wheel Rollout', category: 'abs', restTime: 60},
-                {id: 26, name: 'Arnold Press', category: 'anterior deltoid', restTime: 90},
-                {id: 1, name: 'Barbell Bench Press', category: 'chest', restTime: 120},
-                {id: 34, name: 'Barbell Curl', category: 'biceps', restTime: 90},
-                {id: 64, name: 'Barbell Hip Thrust', category: 'glutes', restTime: 120},
-                {id: 14, name: 'Barbell Row', category: 'lats', restTime: 120},
-                {id: 21, name: 'Barbell Shrug', category: 'traps', restTime: 60},
-                {id: 79, name: 'Barbell Side Bend', category: 'abs', restTime: 60},
-                {id: 51, name: 'Barbell Squat', category: 'quadriceps', restTime: 180},
-                {id: 101, name: 'Bayesian Cable Curl', category: 'biceps', restTime: 60},
-                {id: 55, name: 'Bulgarian Split Squat', category: 'quadriceps', restTime: 90},
-                {id: 74, name: 'Cable Crunch', category: 'abs', restTime: 60},
-                {id: 7, name: 'Cable Crossover', category: 'chest', restTime: 60},
-                {id: 37, name: 'Cable Curl', category: 'biceps', restTime: 60},
-                {id: 81, name: 'Cable Hip Abduction', category: 'other', restTime: 60},
-                {id: 83, name: 'Cable Hip Adduction', category: 'other', restTime: 60},
-                {id: 108, name: 'Cable Lat Prayers', category: 'lats', restTime: 90},
-                {id: 29, name: 'Cable Lateral Raise', category: 'lateral deltoid', restTime: 60},
-                {id: 66, name: 'Cable Pull Through', category: 'glutes', restTime: 60},
-                {id: 102, name: 'Cable Y-Raise', category: 'lateral deltoid', restTime: 60},
-                {id: 105, name: 'Chest-Supported T-Bar Row', category: 'lats', restTime: 90},
-                {id: 12, name: 'Chin-Up', category: 'lats', restTime: 120},
-                {id: 45, name: 'Close Grip Bench Press', category: 'triceps', restTime: 120},
-                {id: 41, name: 'Concentration Curl', category: 'biceps', restTime: 60},
-                {id: 71, name: 'Crunch', category: 'abs', restTime: 60},
-                {id: 19, name: 'Deadlift', category: 'hamstrings', restTime: 180},
-                {id: 5, name: 'Decline Barbell Bench Press', category: 'chest', restTime: 90},
-                {id: 77, name: 'Decline Crunch', category: 'abs', restTime: 60},
-                {id: 106, name: 'Deficit Pendlay Row', category: 'lats', restTime: 120},
-                {id: 2, name: 'Dumbbell Bench Press', category: 'chest', restTime: 120},
-                {id: 35, name: 'Dumbbell Curl', category: 'biceps', restTime: 60},
-                {id: 9, name: 'Dumbbell Fly', category: 'chest', restTime: 60},
-                {id: 47, name: 'Dumbbell Kickback', category: 'triceps', restTime: 60},
-                {id: 15, name: 'Dumbbell Row', category: 'lats', restTime: 90},
-                {id: 25, name: 'Dumbbell Shoulder Press', category: 'anterior deltoid', restTime: 90},
-                {id: 22, name: 'Dumbbell Shrug', category: 'traps', restTime: 60},
-                {id: 38, name: 'EZ Bar Curl', category: 'biceps', restTime: 90},
-                {id: 32, name: 'Face Pull', category: 'posterior deltoid', restTime: 60},
-                {id: 23, name: 'Farmer\'s Walk', category: 'traps', restTime: 90},
-                {id: 27, name: 'Front Raise', category: 'anterior deltoid', restTime: 60},
-                {id: 54, name: 'Front Squat', category: 'quadriceps', restTime: 120},
-                {id: 65, name: 'Glute Kickback', category: 'glutes', restTime: 60},
-                {id: 58, name: 'Goblet Squat', category: 'quadriceps', restTime: 90},
-                {id: 62, name: 'Good Mornings', category: 'hamstrings', restTime: 120},
-                {id: 56, name: 'Hack Squat', category: 'quadriceps', restTime: 120},
-                {id: 36, name: 'Hammer Curl', category: 'biceps', restTime: 60},
-                {id: 78, name: 'Hanging Knee Raise', category: 'abs', restTime: 60},
-                {id: 73, name: 'Hanging Leg Raise', category: 'abs', restTime: 60},
-                {id: 80, name: 'Hip Abduction Machine', category: 'other', restTime: 60},
-                {id: 82, name: 'Hip Adduction Machine', category: 'other', restTime: 60},
-                {id: 3, name: 'Incline Barbell Bench Press', category: 'chest', restTime: 120},
-                {id: 4, name: 'Incline Dumbbell Bench Press', category: 'chest', restTime: 120},
-                {id: 39, name: 'Incline Dumbbell Curl', category: 'biceps', restTime: 60},
-                {id: 110, name: 'Katana Cable Triceps Extension', category: 'triceps', restTime: 60},
-                {id: 67, name: 'Kettlebell Swing', category: 'glutes', restTime: 90},
-                {id: 13, name: 'Lat Pulldown', category: 'lats', restTime: 90},
-                {id: 28, name: 'Lateral Raise', category: 'lateral deltoid', restTime: 60},
-                {id: 103, name: 'Lean-In Dumbbell Lateral Raise', category: 'lateral deltoid', restTime: 60},
-                {id: 53, name: 'Leg Extension', category: 'quadriceps', restTime: 90},
-                {id: 52, name: 'Leg Press', category: 'quadriceps', restTime: 120},
-                {id: 70, name: 'Leg Press Calf Raise', category: 'calves', restTime: 60},
-                {id: 60, name: 'Lying Leg Curl', category: 'hamstrings', restTime: 90},
-                {id: 10, name: 'Machine Chest Press', category: 'chest', restTime: 90},
-                {id: 30, name: 'Machine Lateral Raise', category: 'lateral deltoid', restTime: 60},
-                {id: 20, name: 'Machine Row', category: 'lats', restTime: 90},
-                {id: 104, name: 'Meadows Row', category: 'lats', restTime: 90},
-                {id: 111, name: 'Nautilus Glute Drive', category: 'glutes', restTime: 120},
-                {id: 24, name: 'Overhead Press', category: 'anterior deltoid', restTime: 120},
-                {id: 43, name: 'Overhead Tricep Extension', category: 'triceps', restTime: 60},
-                {id: 8, name: 'Pec Deck Fly', category: 'chest', restTime: 60},
-                {id: 107, name: 'Pendulum Squat', category: 'quadriceps', restTime: 120},
-                {id: 72, name: 'Plank', category: 'abs', restTime: 60},
-                {id: 40, name: 'Preacher Curl', category: 'biceps', restTime: 60},
-                {id: 11, name: 'Pull-Up', category: 'lats', restTime: 120},
-                {id: 6, name: 'Push-Ups', category: 'chest', restTime: 60},
-                {id: 50, name: 'Reverse Barbell Curl', category: 'forearms', restTime: 60},
-                {id: 109, name: 'Reverse Cable Crossover', category: 'posterior deltoid', restTime: 60},
-                {id: 33, name: 'Reverse Dumbbell Fly', category: 'posterior deltoid', restTime: 60},
-                {id: 31, name: 'Reverse Pec Deck', category: 'posterior deltoid', restTime: 60},
-                {id: 49, name: 'Reverse Wrist Curl', category: 'forearms', restTime: 60},
-                {id: 59, name: 'Romanian Deadlift', category: 'hamstrings', restTime: 120},
-                {id: 76, name: 'Russian Twist', category: 'abs', restTime: 60},
-                {id: 16, name: 'Seated Cable Row', category: 'lats', restTime: 90},
-                {id: 68, name: 'Seated Calf Raise', category: 'calves', restTime: 60},
-                {id: 61, name: 'Seated Leg Curl', category: 'hamstrings', restTime: 90},
-                {id: 44, name: 'Skullcrusher', category: 'triceps', restTime: 90},
-                {id: 69, name: 'Standing Calf Raise', category: 'calves', restTime: 60},
-                {id: 63, name: 'Stiff-Legged Deadlift', category: 'hamstrings', restTime: 120},
-                {id: 18, name: 'Straight Arm Pulldown', category: 'lats', restTime: 60},
-                {id: 17, name: 'T-Bar Row', category: 'lats', restTime: 120},
-                {id: 46, name: 'Tricep Dips', category: 'triceps', restTime: 90},
-                {id: 42, name: 'Tricep Pushdown', category: 'triceps', restTime: 60},
-                {id: 57, name: 'Walking Lunges', category: 'quadriceps', restTime: 90},
-                {id: 48, name: 'Wrist Curl', category: 'forearms', restTime: 60}
+                {id: 75, name: 'Ab Wheel Rollout', category: 'abs', restTime: 60, equipment: 'bodyweight'},
+                {id: 26, name: 'Arnold Press', category: 'anterior deltoid', restTime: 90, equipment: 'dumbbell'},
+                {id: 1, name: 'Barbell Bench Press', category: 'chest', restTime: 120, equipment: 'barbell'},
+                {id: 34, name: 'Barbell Curl', category: 'biceps', restTime: 90, equipment: 'barbell'},
+                {id: 64, name: 'Barbell Hip Thrust', category: 'glutes', restTime: 120, equipment: 'barbell'},
+                {id: 14, name: 'Barbell Row', category: 'lats', restTime: 120, equipment: 'barbell'},
+                {id: 21, name: 'Barbell Shrug', category: 'traps', restTime: 60, equipment: 'barbell'},
+                {id: 79, name: 'Barbell Side Bend', category: 'abs', restTime: 60, equipment: 'barbell'},
+                {id: 51, name: 'Barbell Squat', category: 'quadriceps', restTime: 180, equipment: 'barbell'},
+                {id: 101, name: 'Bayesian Cable Curl', category: 'biceps', restTime: 60, equipment: 'cable'},
+                {id: 55, name: 'Bulgarian Split Squat', category: 'quadriceps', restTime: 90, unilateral: true, equipment: 'dumbbell'},
+                {id: 74, name: 'Cable Crunch', category: 'abs', restTime: 60, equipment: 'cable'},
+                {id: 7, name: 'Cable Crossover', category: 'chest', restTime: 60, equipment: 'cable'},
+                {id: 37, name: 'Cable Curl', category: 'biceps', restTime: 60, equipment: 'cable'},
+                {id: 81, name: 'Cable Hip Abduction', category: 'other', restTime: 60, equipment: 'cable'},
+                {id: 83, name: 'Cable Hip Adduction', category: 'other', restTime: 60, equipment: 'cable'},
+                {id: 108, name: 'Cable Lat Prayers', category: 'lats', restTime: 90, equipment: 'cable'},
+                {id: 29, name: 'Cable Lateral Raise', category: 'lateral deltoid', restTime: 60, equipment: 'cable'},
+                {id: 66, name: 'Cable Pull Through', category: 'glutes', restTime: 60, equipment: 'cable'},
+                {id: 102, name: 'Cable Y-Raise', category: 'lateral deltoid', restTime: 60, equipment: 'cable'},
+                {id: 105, name: 'Chest-Supported T-Bar Row', category: 'lats', restTime: 90, equipment: 'machine'},
+                {id: 12, name: 'Chin-Up', category: 'lats', restTime: 120, bodyweightMode: 'added', equipment: 'bodyweight'},
+                {id: 45, name: 'Close Grip Bench Press', category: 'triceps', restTime: 120, equipment: 'barbell'},
+                {id: 41, name: 'Concentration Curl', category: 'biceps', restTime: 60, unilateral: true, equipment: 'dumbbell'},
+                {id: 71, name: 'Crunch', category: 'abs', restTime: 60, equipment: 'bodyweight'},
+                {id: 19, name: 'Deadlift', category: 'hamstrings', restTime: 180, equipment: 'barbell'},
+                {id: 5, name: 'Decline Barbell Bench Press', category: 'chest', restTime: 90, equipment: 'barbell'},
+                {id: 77, name: 'Decline Crunch', category: 'abs', restTime: 60, equipment: 'bodyweight'},
+                {id: 106, name: 'Deficit Pendlay Row', category: 'lats', restTime: 120, equipment: 'barbell'},
+                {id: 2, name: 'Dumbbell Bench Press', category: 'chest', restTime: 120, equipment: 'dumbbell'},
+                {id: 35, name: 'Dumbbell Curl', category: 'biceps', restTime: 60, equipment: 'dumbbell'},
+                {id: 9, name: 'Dumbbell Fly', category: 'chest', restTime: 60, equipment: 'dumbbell'},
+                {id: 47, name: 'Dumbbell Kickback', category: 'triceps', restTime: 60, equipment: 'dumbbell'},
+                {id: 15, name: 'Dumbbell Row', category: 'lats', restTime: 90, unilateral: true, equipment: 'dumbbell'},
+                {id: 25, name: 'Dumbbell Shoulder Press', category: 'anterior deltoid', restTime: 90, equipment: 'dumbbell'},
+                {id: 22, name: 'Dumbbell Shrug', category: 'traps', restTime: 60, equipment: 'dumbbell'},
+                {id: 38, name: 'EZ Bar Curl', category: 'biceps', restTime: 90, equipment: 'barbell'},
+                {id: 32, name: 'Face Pull', category: 'posterior deltoid', restTime: 60, equipment: 'cable'},
+                {id: 23, name: 'Farmer\'s Walk', category: 'traps', restTime: 90, trackingType: 'weight_distance', equipment: 'dumbbell'},
+                {id: 27, name: 'Front Raise', category: 'anterior deltoid', restTime: 60, equipment: 'dumbbell'},
+                {id: 54, name: 'Front Squat', category: 'quadriceps', restTime: 120, equipment: 'barbell'},
+                {id: 65, name: 'Glute Kickback', category: 'glutes', restTime: 60, equipment: 'cable'},
+                {id: 58, name: 'Goblet Squat', category: 'quadriceps', restTime: 90, equipment: 'dumbbell'},
+                {id: 62, name: 'Good Mornings', category: 'hamstrings', restTime: 120, equipment: 'barbell'},
+                {id: 56, name: 'Hack Squat', category: 'quadriceps', restTime: 120, equipment: 'machine'},
+                {id: 36, name: 'Hammer Curl', category: 'biceps', restTime: 60, equipment: 'dumbbell'},
+                {id: 78, name: 'Hanging Knee Raise', category: 'abs', restTime: 60, equipment: 'bodyweight'},
+                {id: 73, name: 'Hanging Leg Raise', category: 'abs', restTime: 60, equipment: 'bodyweight'},
+                {id: 80, name: 'Hip Abduction Machine', category: 'other', restTime: 60, equipment: 'machine'},
+                {id: 82, name: 'Hip Adduction Machine', category: 'other', restTime: 60, equipment: 'machine'},
+                {id: 3, name: 'Incline Barbell Bench Press', category: 'chest', restTime: 120, equipment: 'barbell'},
+                {id: 4, name: 'Incline Dumbbell Bench Press', category: 'chest', restTime: 120, equipment: 'dumbbell'},
+                {id: 39, name: 'Incline Dumbbell Curl', category: 'biceps', restTime: 60, equipment: 'dumbbell'},
+                {id: 110, name: 'Katana Cable Triceps Extension', category: 'triceps', restTime: 60, equipment: 'cable'},
+                {id: 67, name: 'Kettlebell Swing', category: 'glutes', restTime: 90, equipment: 'kettlebell'},
+                {id: 13, name: 'Lat Pulldown', category: 'lats', restTime: 90, equipment: 'cable'},
+                {id: 28, name: 'Lateral Raise', category: 'lateral deltoid', restTime: 60, equipment: 'dumbbell'},
+                {id: 103, name: 'Lean-In Dumbbell Lateral Raise', category: 'lateral deltoid', restTime: 60, equipment: 'dumbbell'},
+                {id: 53, name: 'Leg Extension', category: 'quadriceps', restTime: 90, equipment: 'machine'},
+                {id: 52, name: 'Leg Press', category: 'quadriceps', restTime: 120, equipment: 'machine'},
+                {id: 70, name: 'Leg Press Calf Raise', category: 'calves', restTime: 60, equipment: 'machine'},
+                {id: 60, name: 'Lying Leg Curl', category: 'hamstrings', restTime: 90, equipment: 'machine'},
+                {id: 10, name: 'Machine Chest Press', category: 'chest', restTime: 90, equipment: 'machine'},
+                {id: 30, name: 'Machine Lateral Raise', category: 'lateral deltoid', restTime: 60, equipment: 'machine'},
+                {id: 20, name: 'Machine Row', category: 'lats', restTime: 90, equipment: 'machine'},
+                {id: 104, name: 'Meadows Row', category: 'lats', restTime: 90, equipment: 'barbell'},
+                {id: 111, name: 'Nautilus Glute Drive', category: 'glutes', restTime: 120, equipment: 'machine'},
+                {id: 24, name: 'Overhead Press', category: 'anterior deltoid', restTime: 120, equipment: 'barbell'},
+                {id: 43, name: 'Overhead Tricep Extension', category: 'triceps', restTime: 60, equipment: 'dumbbell'},
+                {id: 8, name: 'Pec Deck Fly', category: 'chest', restTime: 60, equipment: 'machine'},
+                {id: 107, name: 'Pendulum Squat', category: 'quadriceps', restTime: 120, equipment: 'machine'},
+                {id: 72, name: 'Plank', category: 'abs', restTime: 60, trackingType: 'duration', equipment: 'bodyweight'},
+                {id: 40, name: 'Preacher Curl', category: 'biceps', restTime: 60, equipment: 'dumbbell'},
+                {id: 11, name: 'Pull-Up', category: 'lats', restTime: 120, bodyweightMode: 'added', equipment: 'bodyweight'},
+                {id: 6, name: 'Push-Ups', category: 'chest', restTime: 60, bodyweightMode: 'added', equipment: 'bodyweight'},
+                {id: 50, name: 'Reverse Barbell Curl', category: 'forearms', restTime: 60, equipment: 'barbell'},
+                {id: 109, name: 'Reverse Cable Crossover', category: 'posterior deltoid', restTime: 60, equipment: 'cable'},
+                {id: 33, name: 'Reverse Dumbbell Fly', category: 'posterior deltoid', restTime: 60, equipment: 'dumbbell'},
+                {id: 31, name: 'Reverse Pec Deck', category: 'posterior deltoid', restTime: 60, equipment: 'machine'},
+                {id: 49, name: 'Reverse Wrist Curl', category: 'forearms', restTime: 60, equipment: 'dumbbell'},
+                {id: 59, name: 'Romanian Deadlift', category: 'hamstrings', restTime: 120, equipment: 'barbell'},
+                {id: 76, name: 'Russian Twist', category: 'abs', restTime: 60, equipment: 'bodyweight'},
+                {id: 16, name: 'Seated Cable Row', category: 'lats', restTime: 90, equipment: 'cable'},
+                {id: 68, name: 'Seated Calf Raise', category: 'calves', restTime: 60, equipment: 'machine'},
+                {id: 61, name: 'Seated Leg Curl', category: 'hamstrings', restTime: 90, equipment: 'machine'},
+                {id: 44, name: 'Skullcrusher', category: 'triceps', restTime: 90, equipment: 'dumbbell'},
+                {id: 69, name: 'Standing Calf Raise', category: 'calves', restTime: 60, equipment: 'machine'},
+                {id: 63, name: 'Stiff-Legged Deadlift', category: 'hamstrings', restTime: 120, equipment: 'barbell'},
+                {id: 18, name: 'Straight Arm Pulldown', category: 'lats', restTime: 60, equipment: 'cable'},
+                {id: 17, name: 'T-Bar Row', category: 'lats', restTime: 120, equipment: 'barbell'},
+                {id: 46, name: 'Tricep Dips', category: 'triceps', restTime: 90, bodyweightMode: 'added', equipment: 'bodyweight'},
+                {id: 42, name: 'Tricep Pushdown', category: 'triceps', restTime: 60, equipment: 'cable'},
+                {id: 57, name: 'Walking Lunges', category: 'quadriceps', restTime: 90, equipment: 'dumbbell'},
+                {id: 48, name: 'Wrist Curl', category: 'forearms', restTime: 60, equipment: 'dumbbell'}
             ];
-            await db.save(state);
+            state.exercises.forEach(e => markDirty('exercises', e.id));
+            await saveState();
         }
 
         // Always ensure exercises are sorted alphabetically globally
@@ -508,85 +1989,1750 @@ async function initializeApp() {
         renderExercisesList();
         renderBodyweight();
         renderSettingsPreferences();
+        renderSnapshots();
+
+        if (db.rekeyed.length > 0) {
+            const lines = db.rekeyed.map(r => `${r.storeName}: id ${r.oldId} → ${r.newId}`);
+            alert(`Some saved records shared an id and were kept under new ids:\n${lines.join('\n')}`);
+        }
+
+        createDailySnapshotIfDue().then(renderSnapshots);
+        renderSyncStatus();
+        runSync();
+        renderWebdavStatus();
+        runScheduledWebdavBackup('start');
+        setInterval(() => runScheduledWebdavBackup('timer'), 60 * 60 * 1000);
+
+        // Intervals are throttled in the background, so catch the rest timer up straight away on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                cancelRestNotification();
+                if (restTimerInterval) runRestTimerTick();
+            } else {
+                scheduleRestNotification();
+            }
+        });
+
+        // 4️⃣ Workout Resume Detection
+        if (state.activeWorkout) {
+            openActiveWorkout();
+            showToast("Resumed incomplete workout!");
+        }
+
+    } catch (err) {
+        console.error("Init failed:", err);
+    }
+}
+
+async function saveState() {
+    const stateToSave = {
+        exercises: state.exercises,
+        programs: state.programs,
+        standaloneWorkouts: state.standaloneWorkouts,
+        currentProgram: state.currentProgram,
+        currentWeek: state.currentWeek,
+        workoutHistory: state.workoutHistory,
+        bodyweightHistory: state.bodyweightHistory,
+        activeWorkout: state.activeWorkout,
+        weightUnit: state.weightUnit,
+        effortScale: state.effortScale,
+        snapshotRetention: state.snapshotRetention,
+        plateInventory: state.plateInventory,
+        schemaVersion: SCHEMA_VERSION
+    };
+    const dirty = dirtyRecords;
+    dirtyRecords = { all: false, ids: {} };
+    try {
+        await db.save(stateToSave, dirty);
+    } catch (e) {
+        // Keep the ids so the next save retries them
+        if (dirty.all) markAllDirty();
+        Object.keys(dirty.ids).forEach(collection => dirty.ids[collection].forEach(id => markDirty(collection, id)));
+        throw e;
+    }
+}
+
+const debouncedSaveState = debounce(saveState, 1000);
+
+window.resetApp = async function() {
+    if (confirm("Are you sure you want to wipe all data? A snapshot is kept so it can be restored from Settings.")) {
+        await createSnapshot('wipe');
+        await db.clear();
+        location.reload();
+    }
+}
+
+// --- Import / Export ---
+// Serialises the saved state, encrypted when a passphrase is given. Returns null when there's nothing to back up.
+async function buildBackupFile(passphrase) {
+    const data = await db.load();
+    if (!data) return null;
+    data.schemaVersion = SCHEMA_VERSION;
+
+    if (passphrase) {
+        const envelope = await encryptBackup(JSON.stringify(data), passphrase);
+        return { text: JSON.stringify(envelope), extension: '.encrypted.json' };
+    }
+    return { text: JSON.stringify(data), extension: '.json' };
+}
+
+window.exportData = async function() {
+    const passphraseEl = document.getElementById('backupPassphrase');
+    let backup;
+    try {
+        backup = await buildBackupFile(passphraseEl ? passphraseEl.value : '');
+    } catch (err) {
+        alert("Encryption failed: " + err.message);
+        return;
+    }
+    if (!backup) return alert("No data to export.");
+    downloadTextFile(`workouts_backup_${new Date().toISOString().split('T')[0]}${backup.extension}`, backup.text, 'text/json');
+};
+
+function downloadTextFile(filename, text, mimeType) {
+    const dataStr = `data:${mimeType};charset=utf-8,` + encodeURIComponent(text);
+    const downloadNode = document.createElement('a');
+    downloadNode.setAttribute("href", dataStr);
+    downloadNode.setAttribute("download", filename);
+    document.body.appendChild(downloadNode);
+    downloadNode.click();
+    downloadNode.remove();
+}
+
+// --- Encrypted Backups ---
+// Envelope v1: PBKDF2-SHA256 derives 512 bits from the passphrase. The first half is the AES-GCM key,
+// the SHA-256 of the second half is stored as `kdf.check` so a wrong passphrase can be told apart
+// from a tampered file. The header fields are bound to the ciphertext as additional authenticated data.
+const BACKUP_ENVELOPE_FORMAT = 'workout-tracker-encrypted-backup';
+const BACKUP_ENVELOPE_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 600000;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+function base64ToBytes(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+function isEncryptedBackup(obj) {
+    return isPlainObject(obj) && obj.format === BACKUP_ENVELOPE_FORMAT;
+}
+
+function getBackupEnvelopeAad(envelope) {
+    return new TextEncoder().encode(JSON.stringify([
+        envelope.format,
+        envelope.version,
+        envelope.kdf.name, envelope.kdf.hash, envelope.kdf.iterations, envelope.kdf.salt, envelope.kdf.check,
+        envelope.cipher.name, envelope.cipher.iv
+    ]));
+}
+
+async function deriveBackupKeys(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, 512));
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const check = new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32)));
+    return { key, check: bytesToBase64(check) };
+}
+
+async function encryptBackup(plainText, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { key, check } = await deriveBackupKeys(passphrase, salt, BACKUP_KDF_ITERATIONS);
+
+    const envelope = {
+        format: BACKUP_ENVELOPE_FORMAT,
+        version: BACKUP_ENVELOPE_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt), check },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: ''
+    };
+    const cipherText = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: getBackupEnvelopeAad(envelope) },
+        key,
+        new TextEncoder().encode(plainText)
+    );
+    envelope.data = bytesToBase64(new Uint8Array(cipherText));
+    return envelope;
+}
+
+async function decryptBackup(envelope, passphrase) {
+    if (envelope.version > BACKUP_ENVELOPE_VERSION) {
+        throw new Error("This encrypted backup was made by a newer version of the app. Please update the app first.");
+    }
+    if (!isPlainObject(envelope.kdf) || !isPlainObject(envelope.cipher) || envelope.kdf.name !== 'PBKDF2' || envelope.cipher.name !== 'AES-GCM' || typeof envelope.data !== 'string') {
+        throw new Error("This encrypted backup is damaged or uses an unsupported format.");
+    }
+
+    let salt, iv, cipherText;
+    try {
+        salt = base64ToBytes(envelope.kdf.salt);
+        iv = base64ToBytes(envelope.cipher.iv);
+        cipherText = base64ToBytes(envelope.data);
+    } catch (err) {
+        throw new Error("This encrypted backup is damaged and can't be read.");
+    }
+
+    // Security: A tampered iteration count could otherwise freeze the app before authentication fails
+    const iterations = parseInt(envelope.kdf.iterations);
+    if (!(iterations > 0) || iterations > BACKUP_KDF_ITERATIONS * 10) throw new Error("This encrypted backup is damaged and can't be read.");
+
+    const { key, check } = await deriveBackupKeys(passphrase, salt, iterations);
+    if (check !== envelope.kdf.check) {
+        throw new Error("Wrong passphrase. Please try again.");
+    }
+
+    try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: getBackupEnvelopeAad(envelope) }, key, cipherText);
+        return new TextDecoder().decode(plain);
+    } catch (err) {
+        throw new Error("This backup has been modified or corrupted and can't be decrypted.");
+    }
+}
+
+// --- CSV Export ---
+// Security: Quote every field and neutralise spreadsheet formula prefixes in free text
+function toCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    let str = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(str)) str = "'" + str;
+    if (/[",\r\n]/.test(str)) str = '"' + str.replace(/"/g, '""') + '"';
+    return str;
+}
+
+const SETS_CSV_HEADER = ['Date', 'Workout', 'Program', 'Week', 'Exercise', 'Category', 'Set', 'Set Type', 'Weight', 'Unit', 'Reps', 'Reps Left', 'Reps Right', 'Duration (s)', 'Distance (m)', 'RPE', 'Note', 'E1RM'];
+const BODYWEIGHT_CSV_HEADER = ['Date', 'Weight', 'Unit'];
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+}
+
+// Reads the optional From/To date pickers; returns an inclusive [start, end] timestamp range
+function getCsvDateRange() {
+    const fromEl = document.getElementById('csvFromDate');
+    const toEl = document.getElementById('csvToDate');
+    const from = fromEl && fromEl.value ? new Date(`${fromEl.value}T00:00:00`).getTime() : -Infinity;
+    const to = toEl && toEl.value ? new Date(`${toEl.value}T23:59:59.999`).getTime() : Infinity;
+    return { from, to };
+}
+
+function isInDateRange(date, range) {
+    const time = new Date(date).getTime();
+    return time >= range.from && time <= range.to;
+}
+
+function buildSetsCsvRows(range) {
+    const exercisesMap = new Map(state.exercises.map(ex => [ex.id, ex]));
+    const programsMap = new Map(state.programs.map(p => [p.id, p.name]));
+    const unit = getWeightUnitLabel();
+    const rows = [];
+
+    [...state.workoutHistory]
+        .filter(w => isInDateRange(w.date, range))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(w => {
+            const programName = w.programId ? (programsMap.get(w.programId) || '') : '';
+            w.exercises.forEach(ex => {
+                const exerciseData = exercisesMap.get(ex.exerciseId);
+                ex.sets.forEach((set, i) => {
+                    const weight = parseFloat(set.weight) || 0;
+                    const reps = parseInt(set.reps) || 0;
+                    rows.push([
+                        new Date(w.date).toISOString(),
+                        w.name,
+                        programName,
+                        w.programId ? (w.week || 1) : '',
+                        exerciseData ? exerciseData.name : 'Unknown Exercise',
+                        exerciseData ? exerciseData.category : '',
+                        i + 1,
+                        SET_TYPES[getSetType(set)].label,
+                        set.weight !== undefined && set.weight !== '' ? weight : '',
+                        unit,
+                        set.reps !== undefined && set.reps !== '' ? reps : '',
+                        hasSideReps(set) ? parseInt(set.repsLeft) || 0 : '',
+                        hasSideReps(set) ? parseInt(set.repsRight) || 0 : '',
+                        set.duration || '',
+                        set.distance || '',
+                        set.rpe !== undefined && set.rpe !== '' ? set.rpe : '',
+                        set.note || '',
+                        getSetMetric(set, '1RM', getBodyweightMode(ex.exerciseId)) || ''
+                    ]);
+                });
+            });
+        });
+
+    return rows;
+}
+
+function buildBodyweightCsvRows(range) {
+    const unit = getWeightUnitLabel();
+    return [...state.bodyweightHistory]
+        .filter(b => isInDateRange(b.date, range))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(b => [new Date(b.date).toISOString(), b.weight, unit]);
+}
+
+window.exportSetsCsv = function() {
+    const rows = buildSetsCsvRows(getCsvDateRange());
+    if (rows.length === 0) return alert("No logged sets in this date range.");
+    downloadTextFile(`workout_sets_${new Date().toISOString().split('T')[0]}.csv`, toCsv(SETS_CSV_HEADER, rows), 'text/csv');
+};
+
+window.exportBodyweightCsv = function() {
+    const rows = buildBodyweightCsvRows(getCsvDateRange());
+    if (rows.length === 0) return alert("No bodyweight logs in this date range.");
+    downloadTextFile(`bodyweight_${new Date().toISOString().split('T')[0]}.csv`, toCsv(BODYWEIGHT_CSV_HEADER, rows), 'text/csv');
+};
+
+// --- Strong / Hevy CSV Import ---
+let pendingCsvImport = null;
+
+// RFC 4180 style parser: quoted fields may contain delimiters, escaped quotes and newlines
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(f => f !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(f => f !== '')) rows.push(row);
+    return rows;
+}
+
+// Hevy writes dates like "28 Apr 2024, 08:30"; Strong uses "2024-04-28 08:30:00"
+function parseImportedDate(value) {
+    const str = String(value || '').trim();
+    const hevy = str.match(/^(\d{1,2}) ([A-Za-z]{3}) (\d{4}),? (\d{1,2}):(\d{2})/);
+    if (hevy) {
+        const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(hevy[2].toLowerCase());
+        if (month !== -1) return new Date(+hevy[3], month, +hevy[1], +hevy[4], +hevy[5]);
+    }
+    const date = new Date(str.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T'));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function convertImportedWeight(weight, fromUnit) {
+    const value = parseFloat(weight);
+    if (isNaN(value) || value === 0) return '';
+    const toUnit = getWeightUnitLabel();
+    if (!fromUnit || fromUnit === toUnit) return value;
+    const converted = fromUnit === 'kg' ? value / KG_PER_LB : value * KG_PER_LB;
+    return Math.round(converted * 10) / 10;
+}
+
+// Normalises Strong and Hevy exports into [{ date, name, notes, exercises: [{ name, sets }] }]
+const IMPORTED_DISTANCE_METRES = { km: 1000, mi: 1609.344, m: 1, yd: 0.9144, ft: 0.3048 };
+
+// Hevy's set_type values and Strong's lettered "Set Order" values
+const IMPORTED_SET_TYPES = {
+    warmup: 'warmup',
+    dropset: 'drop',
+    failure: 'failure',
+    w: 'warmup',
+    d: 'drop',
+    f: 'failure'
+};
+
+function parseWorkoutAppCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''), delimiter);
+    if (rows.length < 2) return null;
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const col = name => header.indexOf(name);
+    let source, get;
+
+    if (col('exercise_title') !== -1 && col('start_time') !== -1) {
+        source = 'Hevy';
+        const weightCol = col('weight_kg') !== -1 ? col('weight_kg') : col('weight_lbs');
+        const weightUnit = col('weight_kg') !== -1 ? 'kg' : 'lbs';
+        get = r => ({
+            workoutKey: `${r[col('start_time')]}|${r[col('title')]}`,
+            date: r[col('start_time')],
+            workoutName: r[col('title')],
+            workoutNotes: col('description') !== -1 ? r[col('description')] : '',
+            exercise: r[col('exercise_title')],
+            weight: convertImportedWeight(r[weightCol], weightUnit),
+            reps: r[col('reps')],
+            setType: col('set_type') !== -1 ? r[col('set_type')] : '',
+            rpe: col('rpe') !== -1 ? r[col('rpe')] : '',
+            duration: col('duration_seconds') !== -1 ? parseFloat(r[col('duration_seconds')]) : NaN,
+            distance: col('distance_km') !== -1 ? parseFloat(r[col('distance_km')]) * 1000 : NaN,
+            note: col('exercise_notes') !== -1 ? r[col('exercise_notes')] : ''
+        });
+    } else if (col('exercise name') !== -1 && col('workout name') !== -1) {
+        source = 'Strong';
+        get = r => {
+            const unitCol = col('weight unit');
+            const unit = unitCol !== -1 && r[unitCol] ? r[unitCol].trim().toLowerCase().replace(/^lb$/, 'lbs') : getWeightUnitLabel();
+            const distanceUnitCol = col('distance unit');
+            const distanceUnit = distanceUnitCol !== -1 && r[distanceUnitCol] ? r[distanceUnitCol].trim().toLowerCase() : getDistanceUnit('distance_duration').label;
+            return {
+                workoutKey: `${r[col('date')]}|${r[col('workout name')]}`,
+                date: r[col('date')],
+                workoutName: r[col('workout name')],
+                workoutNotes: col('workout notes') !== -1 ? r[col('workout notes')] : '',
+                exercise: r[col('exercise name')],
+                setOrder: r[col('set order')],
+                weight: convertImportedWeight(r[col('weight')], unit),
+                reps: r[col('reps')],
+                setType: r[col('set order')],
+                rpe: col('rpe') !== -1 ? r[col('rpe')] : '',
+                duration: col('seconds') !== -1 ? parseFloat(r[col('seconds')]) : NaN,
+                distance: col('distance') !== -1 ? parseFloat(r[col('distance')]) * (IMPORTED_DISTANCE_METRES[distanceUnit] || 1000) : NaN,
+                note: col('notes') !== -1 ? r[col('notes')] : ''
+            };
+        };
+    } else {
+        return null;
+    }
+
+    const workouts = new Map();
+    rows.slice(1).forEach(r => {
+        const row = get(r);
+        if (!row.exercise || String(row.setOrder || '').toLowerCase() === 'rest timer') return;
+        const reps = parseInt(row.reps) || 0;
+        const duration = row.duration > 0 ? Math.round(row.duration) : 0;
+        const distance = row.distance > 0 ? Math.round(row.distance * 10) / 10 : 0;
+        if (!reps && !row.weight && !duration && !distance) return;
+
+        const date = parseImportedDate(row.date);
+        if (!date) return;
+
+        if (!workouts.has(row.workoutKey)) {
+            workouts.set(row.workoutKey, {
+                date: date.toISOString(),
+                name: String(row.workoutName || 'Imported Workout').trim().substring(0, 100),
+                notes: String(row.workoutNotes || '').trim().substring(0, 2000),
+                exercises: []
+            });
+        }
+        const workout = workouts.get(row.workoutKey);
+        const exerciseName = String(row.exercise).trim().substring(0, 100);
+        let exercise = workout.exercises.find(e => e.name === exerciseName);
+        if (!exercise) {
+            exercise = { name: exerciseName, sets: [] };
+            workout.exercises.push(exercise);
+        }
+        exercise.sets.push({
+            type: IMPORTED_SET_TYPES[String(row.setType || '').trim().toLowerCase()] || 'normal',
+            weight: row.weight,
+            targetReps: '',
+            reps: reps || '',
+            rpe: parseFloat(row.rpe) >= 0 && parseFloat(row.rpe) <= 10 ? parseFloat(row.rpe) : '',
+            ...(duration ? { duration } : {}),
+            ...(distance ? { distance } : {}),
+            note: String(row.note || '').trim().substring(0, 1000),
+            completed: true
+        });
+    });
+
+    return { source, workouts: [...workouts.values()] };
+}
+
+window.importWorkoutAppCsv = function(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const parsed = parseWorkoutAppCsv(String(e.target.result));
+        if (!parsed || parsed.workouts.length === 0) {
+            alert("Couldn't find any workouts. Please choose a CSV exported from Strong or Hevy.");
+            return;
+        }
+
+        // Pre-map names that already exist in the library (case-insensitive)
+        const mapping = {};
+        parsed.workouts.forEach(w => w.exercises.forEach(ex => {
+            const key = ex.name.toLowerCase();
+            if (mapping[key] !== undefined) return;
+            const existing = state.exercises.find(e => e.name.toLowerCase() === key);
+            mapping[key] = existing ? existing.id : 'new';
+        }));
+
+        pendingCsvImport = {
+            source: parsed.source,
+            workouts: parsed.workouts,
+            mapping,
+            unknownNames: [...new Set(parsed.workouts.flatMap(w => w.exercises.map(ex => ex.name)))]
+                .filter(name => mapping[name.toLowerCase()] === 'new')
+                .sort((a, b) => a.localeCompare(b))
+        };
+        renderCsvImportReview();
+        setModalOpen('csvImportModal');
+    };
+    reader.readAsText(file);
+};
+
+function renderCsvImportReview() {
+    const container = document.getElementById('csvImportSummary');
+    if (!container || !pendingCsvImport) return;
+
+    const duplicates = pendingCsvImport.workouts.filter(w => state.workoutHistory.some(h => h.date === w.date && h.name === w.name)).length;
+    const exerciseOptions = state.exercises.map(ex => `<option value="${ex.id}">${escapeHtml(ex.name)}</option>`).join('');
+
+    const rows = pendingCsvImport.unknownNames.map((name, i) => `
+        <div class="py-2 border-b">
+            <div class="font-medium mb-1">${escapeHtml(name)}</div>
+            <select class="input-field" onchange="updateCsvImportMapping(${i}, this.value)">
+                <option value="new">+ Create as new exercise</option>
+                <option value="skip">Skip this exercise</option>
+                ${exerciseOptions}
+            </select>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <p class="text-sm text-secondary mb-4">Found ${pendingCsvImport.workouts.length} ${pendingCsvImport.source} workouts${duplicates ? ` (${duplicates} already logged and will be skipped)` : ''}.</p>
+        ${pendingCsvImport.unknownNames.length > 0 ? `
+            <div class="section-title-sm">Unknown Exercises</div>
+            ${rows}
+        ` : '<p class="text-sm text-secondary">All exercises matched your library.</p>'}
+    `;
+}
+
+window.updateCsvImportMapping = function(index, value) {
+    if (!pendingCsvImport) return;
+    const name = pendingCsvImport.unknownNames[index];
+    pendingCsvImport.mapping[name.toLowerCase()] = (value === 'new' || value === 'skip') ? value : Number(value);
+};
+
+function closeCsvImport() {
+    setModalClose('csvImportModal');
+    pendingCsvImport = null;
+}
+
+// Picks a tracking type for a newly created exercise from what its imported sets recorded
+function inferTrackingType(sets) {
+    const has = field => sets.some(set => parseFloat(set[field]) > 0);
+    if (has('distance')) return has('duration') ? 'distance_duration' : 'weight_distance';
+    if (has('duration')) return 'duration';
+    if (!has('weight') && has('reps')) return 'reps';
+    return 'weight_reps';
+}
+
+async function confirmCsvImport() {
+    if (!pendingCsvImport) return;
+    const { mapping, workouts } = pendingCsvImport;
+    const previousExercises = [...state.exercises];
+    const previousHistory = [...state.workoutHistory];
+    const usedExerciseIds = new Set(state.exercises.map(e => e.id));
+    const usedHistoryIds = new Set(state.workoutHistory.map(w => w.id));
+
+    pendingCsvImport.unknownNames.forEach(name => {
+        const key = name.toLowerCase();
+        if (mapping[key] !== 'new') return;
+        const id = createUniqueId(usedExerciseIds);
+        const sets = workouts.flatMap(w => w.exercises.filter(ex => ex.name.toLowerCase() === key).flatMap(ex => ex.sets));
+        state.exercises.push({ id, name, category: 'other', restTime: 90, trackingType: inferTrackingType(sets) });
+        markDirty('exercises', id);
+        mapping[key] = id;
+    });
+
+    await createSnapshot('import');
+
+    let imported = 0;
+    workouts.forEach(w => {
+        if (state.workoutHistory.some(h => h.date === w.date && h.name === w.name)) return;
+
+        const exercises = w.exercises
+            .filter(ex => mapping[ex.name.toLowerCase()] !== 'skip')
+            .map(ex => ({ exerciseId: mapping[ex.name.toLowerCase()], sets: ex.sets }));
+        if (exercises.length === 0) return;
+
+        const id = createUniqueId(usedHistoryIds);
+        state.workoutHistory.push({
+            id,
+            date: w.date,
+            programId: null,
+            week: 1,
+            name: w.name,
+            exercises,
+            notes: w.notes
+        });
+        markDirty('workoutHistory', id);
+        imported++;
+    });
+
+    state.exercises.sort((a, b) => a.name.localeCompare(b.name));
+    try {
+        await saveState();
+    } catch (err) {
+        // Drop the added records again; their ids were never stored, so the next save skips them
+        state.exercises = previousExercises;
+        state.workoutHistory = previousHistory;
+        console.error("Import failed:", err);
+        alert("Import failed, your existing data was left unchanged.");
+        closeCsvImport();
+        return;
+    }
+    closeCsvImport();
+    renderExercisesList();
+    renderTrainingTab();
+    renderProgressDashboard();
+    showToast(`Imported ${imported} workouts`);
+}
+
+// --- Backup Validation ---
+// Each issue carries its JSON path, the top-level record it belongs to (so it can be dropped)
+// and, where a safe default exists, a repair function that fixes the value in place.
+const isPlainObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isValidId = v => (typeof v === 'number' && isFinite(v)) || (typeof v === 'string' && v !== '');
+const isValidDate = v => (typeof v === 'string' || typeof v === 'number') && !isNaN(new Date(v).getTime());
+const isNumericValue = v => v === '' || v === null || v === undefined || !isNaN(parseFloat(v));
+
+function validateSets(sets, path, target, report) {
+    sets.forEach((set, i) => {
+        if (!isPlainObject(set)) {
+            report(`${path}[${i}]`, 'set must be an object', target, () => {
+                const index = sets.indexOf(set);
+                if (index !== -1) sets.splice(index, 1);
+            });
+            return;
+        }
+        ['weight', 'reps', 'repsLeft', 'repsRight', 'duration', 'distance', 'rpe', 'targetRpe'].forEach(field => {
+            if (!isNumericValue(set[field])) {
+                report(`${path}[${i}].${field}`, `${field} must be numeric`, target, () => { set[field] = ''; });
+            }
+        });
+        if (set.note !== undefined && typeof set.note !== 'string') {
+            report(`${path}[${i}].note`, 'note must be a string', target, () => { set.note = String(set.note); });
+        }
+        if (set.type !== undefined && !SET_TYPES[set.type]) {
+            report(`${path}[${i}].type`, `unknown set type "${String(set.type).substring(0, 20)}"`, target, () => { set.type = 'normal'; });
+        }
+    });
+}
+
+function validateWorkoutExercises(workout, path, target, report) {
+    if (!Array.isArray(workout.exercises)) {
+        report(`${path}.exercises`, 'exercises must be an array', target, () => { workout.exercises = []; });
+        return;
+    }
+    workout.exercises.forEach((ex, i) => {
+        const exPath = `${path}.exercises[${i}]`;
+        if (!isPlainObject(ex)) {
+            report(exPath, 'exercise entry must be an object', target, () => {
+                workout.exercises = workout.exercises.filter(e => e !== ex);
+            });
+            return;
+        }
+        if (!isValidId(ex.exerciseId)) {
+            report(`${exPath}.exerciseId`, 'exerciseId is missing', target, () => {
+                workout.exercises = workout.exercises.filter(e => e !== ex);
+            });
+        }
+        if (ex.substitutedFor !== undefined && !isValidId(ex.substitutedFor)) {
+            report(`${exPath}.substitutedFor`, 'substitutedFor must be an exercise id', target, () => { delete ex.substitutedFor; });
+        }
+        if (!Array.isArray(ex.sets)) {
+            report(`${exPath}.sets`, 'sets must be an array', target, () => { ex.sets = []; });
+        } else {
+            validateSets(ex.sets, `${exPath}.sets`, target, report);
+        }
+    });
+}
+
+function validateBackup(data) {
+    const issues = [];
+    const report = (path, message, target, repair) => issues.push({ path, message, target, repair: repair || null });
+
+    Object.keys(IMPORT_ENTITY_LABELS).forEach(key => {
+        if (data[key] !== undefined && !Array.isArray(data[key])) {
+            report(key, 'must be an array', null, () => { data[key] = []; });
+        }
+    });
+    const list = key => Array.isArray(data[key]) ? data[key] : [];
+    const usedIds = new Set();
+    Object.keys(IMPORT_ENTITY_LABELS).forEach(key => {
+        list(key).forEach(record => { if (isPlainObject(record)) usedIds.add(record.id); });
+    });
+    // Records are stored by id, so a repeated id within a collection would silently drop all but one
+    const seenIds = {};
+    const checkRecord = (key, record, i) => {
+        const path = `${key}[${i}]`;
+        if (!isPlainObject(record)) {
+            report(path, 'record must be an object', { collection: key, index: i });
+            return null;
+        }
+        if (!isValidId(record.id)) {
+            report(`${path}.id`, 'id is missing', { collection: key, index: i }, () => { record.id = createUniqueId(usedIds); });
+        } else {
+            if (!seenIds[key]) seenIds[key] = new Set();
+            if (seenIds[key].has(record.id)) {
+                report(`${path}.id`, `id ${record.id} is used by another record`, { collection: key, index: i }, () => { record.id = createUniqueId(usedIds); });
+            }
+            seenIds[key].add(record.id);
+        }
+        return path;
+    };
+
+    list('exercises').forEach((ex, i) => {
+        const path = checkRecord('exercises', ex, i);
+        if (!path) return;
+        const target = { collection: 'exercises', index: i };
+        if (typeof ex.name !== 'string' || !ex.name.trim()) {
+            report(`${path}.name`, 'name is required', target);
+        }
+        if (typeof ex.category !== 'string') {
+            report(`${path}.category`, 'category must be a string', target, () => { ex.category = 'other'; });
+        }
+        if (ex.restTime !== undefined && isNaN(parseInt(ex.restTime))) {
+            report(`${path}.restTime`, 'restTime must be a number', target, () => { ex.restTime = 90; });
+        }
+        if (ex.trackingType !== undefined && !TRACKING_TYPES[ex.trackingType]) {
+            report(`${path}.trackingType`, 'unknown tracking type', target, () => { ex.trackingType = 'weight_reps'; });
+        }
+        if (ex.bodyweightMode !== undefined && ex.bodyweightMode !== null && !BODYWEIGHT_MODES[ex.bodyweightMode]) {
+            report(`${path}.bodyweightMode`, 'unknown bodyweight mode', target, () => { delete ex.bodyweightMode; });
+        }
+        if (ex.equipment !== undefined && !EQUIPMENT_TYPES[ex.equipment]) {
+            report(`${path}.equipment`, 'unknown equipment type', target, () => { delete ex.equipment; });
+        }
+        if (ex.increment !== undefined && !(parseFloat(ex.increment) > 0)) {
+            report(`${path}.increment`, 'increment must be a positive number', target, () => { delete ex.increment; delete ex.incrementUnit; });
+        } else if (ex.increment !== undefined && !DEFAULT_WEIGHT_INCREMENT[ex.incrementUnit]) {
+            report(`${path}.incrementUnit`, 'increment unit must be kg or lbs', target, () => { delete ex.increment; delete ex.incrementUnit; });
+        }
+    });
+
+    list('programs').forEach((program, i) => {
+        const path = checkRecord('programs', program, i);
+        if (!path) return;
+        const target = { collection: 'programs', index: i };
+        if (typeof program.name !== 'string') {
+            report(`${path}.name`, 'name must be a string', target, () => { program.name = 'Untitled Program'; });
+        }
+        if (!Array.isArray(program.schedule)) {
+            report(`${path}.schedule`, 'schedule is missing', target, () => {
+                const weeks = parseInt(program.weeks) > 0 ? parseInt(program.weeks) : 1;
+                program.schedule = Array.from({ length: weeks }, () => []);
+                program.weeks = weeks;
+            });
+            return;
+        }
+        if (!(parseInt(program.weeks) > 0) || parseInt(program.weeks) !== program.schedule.length) {
+            report(`${path}.weeks`, 'weeks does not match the schedule', target, () => {
+                if (program.schedule.length === 0) program.schedule.push([]);
+                program.weeks = program.schedule.length;
+            });
+        }
+        program.schedule.forEach((week, w) => {
+            const weekPath = `${path}.schedule[${w}]`;
+            if (!Array.isArray(week)) {
+                report(weekPath, 'week must be an array', target, () => { program.schedule[w] = []; });
+                return;
+            }
+            week.forEach((workout, d) => {
+                const workoutPath = `${weekPath}[${d}]`;
+                if (!isPlainObject(workout)) {
+                    report(workoutPath, 'workout must be an object', target, () => {
+                        program.schedule[w] = program.schedule[w].filter(x => x !== workout);
+                    });
+                    return;
+                }
+                if (typeof workout.name !== 'string') {
+                    report(`${workoutPath}.name`, 'name must be a string', target, () => { workout.name = workout.isRestDay ? 'Rest Day' : 'Workout'; });
+                }
+                validateWorkoutExercises(workout, workoutPath, target, report);
+            });
+        });
+    });
+
+    list('standaloneWorkouts').forEach((workout, i) => {
+        const path = checkRecord('standaloneWorkouts', workout, i);
+        if (!path) return;
+        const target = { collection: 'standaloneWorkouts', index: i };
+        if (typeof workout.name !== 'string') {
+            report(`${path}.name`, 'name must be a string', target, () => { workout.name = 'Workout'; });
+        }
+        validateWorkoutExercises(workout, path, target, report);
+    });
+
+    list('workoutHistory').forEach((record, i) => {
+        const path = checkRecord('workoutHistory', record, i);
+        if (!path) return;
+        const target = { collection: 'workoutHistory', index: i };
+        if (!isValidDate(record.date)) {
+            report(`${path}.date`, 'date is missing or invalid', target);
+        }
+        if (typeof record.name !== 'string') {
+            report(`${path}.name`, 'name must be a string', target, () => { record.name = 'Workout'; });
+        }
+        if (record.duration !== undefined && !(parseInt(record.duration) >= 0)) {
+            report(`${path}.duration`, 'duration must be a number of seconds', target, () => { delete record.duration; });
+        }
+        ['startedAt', 'endedAt'].forEach(field => {
+            if (record[field] !== undefined && !isValidDate(record[field])) {
+                report(`${path}.${field}`, `${field} is not a valid date`, target, () => { delete record[field]; });
+            }
+        });
+        if (record.intervals !== undefined && !Array.isArray(record.intervals)) {
+            report(`${path}.intervals`, 'intervals must be an array', target, () => { delete record.intervals; });
+        }
+        validateWorkoutExercises(record, path, target, report);
+    });
+
+    list('bodyweightHistory').forEach((entry, i) => {
+        const path = checkRecord('bodyweightHistory', entry, i);
+        if (!path) return;
+        const target = { collection: 'bodyweightHistory', index: i };
+        if (!isValidDate(entry.date)) {
+            report(`${path}.date`, 'date is missing or invalid', target);
+        }
+        if (typeof entry.weight !== 'number' || !isFinite(entry.weight)) {
+            const parsed = parseFloat(entry.weight);
+            report(`${path}.weight`, 'weight must be a number', target, isNaN(parsed) ? null : () => { entry.weight = parsed; });
+        }
+    });
+
+    if (data.activeWorkout !== undefined && data.activeWorkout !== null) {
+        const target = { collection: 'activeWorkout' };
+        if (!isPlainObject(data.activeWorkout)) {
+            report('activeWorkout', 'active workout must be an object', target);
+        } else {
+            if (typeof data.activeWorkout.name !== 'string') {
+                report('activeWorkout.name', 'name must be a string', target, () => { data.activeWorkout.name = 'Workout'; });
+            }
+            validateWorkoutExercises(data.activeWorkout, 'activeWorkout', target, report);
+        }
+    }
+
+    if (data.plateInventory !== undefined && data.plateInventory !== null) {
+        if (!isPlainObject(data.plateInventory)) {
+            report('plateInventory', 'bar and plate inventory must be an object', null, () => { delete data.plateInventory; });
+        } else {
+            Object.keys(data.plateInventory).forEach(unit => {
+                if (!DEFAULT_PLATE_INVENTORY[unit] || !isValidPlateInventory(data.plateInventory[unit])) {
+                    report(`plateInventory.${unit}`, 'bar and plate inventory is malformed', null, () => { delete data.plateInventory[unit]; });
+                }
+            });
+        }
+    }
+
+    return issues;
+}
+
+// Applies repairs where possible and drops any record that can't be (or, when dropOnly, shouldn't be) repaired
+function applyBackupFixes(data, issues, dropOnly) {
+    const drops = {};
+    issues.forEach(issue => {
+        const canDrop = !!issue.target;
+        if (issue.repair && (!dropOnly || !canDrop)) {
+            issue.repair(data);
+        } else if (canDrop) {
+            if (!drops[issue.target.collection]) drops[issue.target.collection] = new Set();
+            drops[issue.target.collection].add(issue.target.index);
+        }
+    });
+    Object.keys(drops).forEach(key => {
+        if (key === 'activeWorkout') data.activeWorkout = null;
+        else data[key] = data[key].filter((_, i) => !drops[key].has(i));
+    });
+}
+
+// --- Merge Import ---
+let pendingImport = null;
+
+const IMPORT_ENTITY_LABELS = {
+    exercises: 'Exercises',
+    programs: 'Programs',
+    standaloneWorkouts: 'Workouts',
+    workoutHistory: 'History',
+    bodyweightHistory: 'Bodyweight Logs'
+};
+
+function createUniqueId(usedIds) {
+    let id = Date.now();
+    while (usedIds.has(id)) id++;
+    usedIds.add(id);
+    return id;
+}
+
+function remapWorkoutExerciseIds(workout, idMap) {
+    if (!workout || !Array.isArray(workout.exercises)) return;
+    workout.exercises.forEach(ex => {
+        if (idMap.has(ex.exerciseId)) ex.exerciseId = idMap.get(ex.exerciseId);
+        if (idMap.has(ex.substitutedFor)) ex.substitutedFor = idMap.get(ex.substitutedFor);
+    });
+}
+
+// Merges records by id: identical records are skipped, changed ones replaced by the incoming copy
+function mergeById(existing, incoming, counts, isDuplicate) {
+    incoming.forEach(record => {
+        const index = existing.findIndex(r => r.id === record.id);
+        if (index !== -1) {
+            if (JSON.stringify(existing[index]) === JSON.stringify(record)) {
+                counts.skipped++;
+            } else {
+                existing[index] = record;
+                counts.updated++;
+            }
+        } else if (isDuplicate && existing.some(r => isDuplicate(r, record))) {
+            counts.skipped++;
+        } else {
+            existing.push(record);
+            counts.added++;
+        }
+    });
+}
+
+// Builds the merged collections without touching state, so the result can be previewed first
+function buildMergePlan(current, incoming) {
+    const currentUnit = current.weightUnit || 'lbs';
+    if ((incoming.weightUnit || 'lbs') !== currentUnit) {
+        incoming = deepClone(incoming);
+        convertStateWeights(incoming, incoming.weightUnit || 'lbs', currentUnit);
+    }
+
+    const counts = {};
+    Object.keys(IMPORT_ENTITY_LABELS).forEach(key => {
+        counts[key] = { added: 0, updated: 0, skipped: 0 };
+    });
+
+    // Exercises: match by id when the names agree, otherwise by name, and remember the id mapping
+    const exercises = deepClone(current.exercises || []);
+    const usedIds = new Set(exercises.map(e => e.id));
+    const idMap = new Map();
+
+    (incoming.exercises || []).forEach(inc => {
+        const name = String(inc.name || '').trim().toLowerCase();
+        const byId = exercises.find(e => e.id === inc.id);
+        const match = (byId && byId.name.toLowerCase() === name) ? byId : exercises.find(e => e.name.toLowerCase() === name);
+
+        if (match) {
+            idMap.set(inc.id, match.id);
+            const merged = { ...match, ...inc, id: match.id, name: match.name };
+            if (JSON.stringify(merged) === JSON.stringify(match)) {
+                counts.exercises.skipped++;
+            } else {
+                Object.assign(match, merged);
+                counts.exercises.updated++;
+            }
+        } else {
+            const newId = byId ? createUniqueId(usedIds) : inc.id;
+            usedIds.add(newId);
+            idMap.set(inc.id, newId);
+            exercises.push({ ...deepClone(inc), id: newId });
+            counts.exercises.added++;
+        }
+    });
+
+    const importedPrograms = deepClone(incoming.programs || []);
+    importedPrograms.forEach(p => {
+        (p.schedule || []).forEach(week => week.forEach(w => remapWorkoutExerciseIds(w, idMap)));
+    });
+    const programs = deepClone(current.programs || []);
+    mergeById(programs, importedPrograms, counts.programs);
+
+    const importedWorkouts = deepClone(incoming.standaloneWorkouts || []);
+    importedWorkouts.forEach(w => remapWorkoutExerciseIds(w, idMap));
+    const standaloneWorkouts = deepClone(current.standaloneWorkouts || []);
+    mergeById(standaloneWorkouts, importedWorkouts, counts.standaloneWorkouts);
+
+    // Same workout logged on both devices shares its name and timestamp
+    const importedHistory = deepClone(incoming.workoutHistory || []);
+    importedHistory.forEach(w => remapWorkoutExerciseIds(w, idMap));
+    const workoutHistory = deepClone(current.workoutHistory || []);
+    mergeById(workoutHistory, importedHistory, counts.workoutHistory, (a, b) => a.date === b.date && a.name === b.name);
+
+    const bodyweightHistory = deepClone(current.bodyweightHistory || []);
+    mergeById(bodyweightHistory, deepClone(incoming.bodyweightHistory || []), counts.bodyweightHistory, (a, b) => {
+        return new Date(a.date).toDateString() === new Date(b.date).toDateString() && Number(a.weight) === Number(b.weight);
+    });
+
+    return {
+        counts,
+        result: { exercises, programs, standaloneWorkouts, workoutHistory, bodyweightHistory }
+    };
+}
+
+function openImportPreview(importedState) {
+    const issues = validateBackup(importedState);
+    pendingImport = {
+        data: importedState,
+        issues,
+        plan: issues.length === 0 ? buildMergePlan(state, importedState) : null
+    };
+    renderImportPreview();
+    setModalOpen('importPreviewModal');
+}
+
+function renderImportPreview() {
+    const summary = document.getElementById('importPreviewSummary');
+    const footer = document.getElementById('importPreviewFooter');
+    if (!summary || !pendingImport) return;
+
+    if (pendingImport.issues.length > 0) {
+        if (footer) footer.classList.add('hidden');
+        const MAX_LISTED = 50;
+        const issues = pendingImport.issues;
+        const rows = issues.slice(0, MAX_LISTED).map(issue => `
+            <div class="py-2 border-b">
+                <div class="text-xs text-tertiary" style="font-family: monospace; word-break: break-all;">${escapeHtml(issue.path)}</div>
+                <div class="text-sm">${escapeHtml(issue.message)} ${issue.repair ? '<span class="badge badge-secondary">Repairable</span>' : ''}</div>
+            </div>
+        `).join('');
+        const more = issues.length > MAX_LISTED ? `<div class="text-xs text-secondary py-2">…and ${issues.length - MAX_LISTED} more</div>` : '';
+        summary.innerHTML = `
+            <p class="text-sm text-warning mb-4">This backup has ${issues.length} problem${issues.length === 1 ? '' : 's'}. Repair them where possible, or drop every invalid record, before importing.</p>
+            ${rows}
+            ${more}
+            <div class="flex gap-2 mt-4">
+                <button class="btn-secondary flex-grow" onclick="resolveImportIssues(true)">Drop Invalid</button>
+                <button class="btn-primary flex-grow" onclick="resolveImportIssues(false)">Auto-Repair</button>
+            </div>
+        `;
+        return;
+    }
+
+    if (footer) footer.classList.remove('hidden');
+    const rows = Object.keys(IMPORT_ENTITY_LABELS).map(key => {
+        const c = pendingImport.plan.counts[key];
+        return `
+            <div class="flex justify-between items-center py-2 border-b">
+                <span class="font-medium">${IMPORT_ENTITY_LABELS[key]}</span>
+                <div class="flex gap-1">
+                    <span class="badge badge-success">+${c.added}</span>
+                    <span class="badge badge-warning">~${c.updated}</span>
+                    <span class="badge badge-secondary">=${c.skipped}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+    summary.innerHTML = `
+        <p class="text-sm text-secondary mb-4">Merging adds new records (+), updates changed ones (~) and skips duplicates (=). Your settings and any in-progress workout are kept.</p>
+        ${rows}
+    `;
+}
+
+window.resolveImportIssues = function(dropOnly) {
+    if (!pendingImport) return;
+    applyBackupFixes(pendingImport.data, pendingImport.issues, dropOnly);
+    // Repairs can expose nested problems that weren't reachable before, so re-check
+    pendingImport.issues = validateBackup(pendingImport.data);
+    pendingImport.plan = pendingImport.issues.length === 0 ? buildMergePlan(state, pendingImport.data) : null;
+    renderImportPreview();
+};
+
+function closeImportPreview() {
+    setModalClose('importPreviewModal');
+    pendingImport = null;
+}
+
+async function confirmMergeImport() {
+    if (!pendingImport || !pendingImport.plan) return;
+    const merged = pendingImport.plan.result;
+    await createSnapshot('import');
+    const previous = {};
+    ENTITY_STORES.forEach(collection => { previous[collection] = state[collection]; });
+    state.exercises = merged.exercises.sort((a, b) => a.name.localeCompare(b.name));
+    state.programs = merged.programs;
+    state.standaloneWorkouts = merged.standaloneWorkouts;
+    state.workoutHistory = merged.workoutHistory;
+    state.bodyweightHistory = merged.bodyweightHistory;
+    markAllDirty();
+    try {
+        await saveState();
+    } catch (err) {
+        // Put the in-memory data back; everything stays marked dirty, so the next save rewrites it as it was
+        Object.assign(state, previous);
+        console.error("Import failed:", err);
+        alert("Import failed, your existing data was left unchanged.");
+        return;
+    }
+    closeImportPreview();
+    alert("Backup merged successfully!");
+    location.reload();
+}
+
+async function confirmReplaceImport() {
+    if (!pendingImport || !pendingImport.plan) return;
+    if (!confirm("Replace ALL data on this device with the backup? A snapshot of the current data is kept first.")) return;
+    await createSnapshot('import');
+    try {
+        await db.save(pendingImport.data);
+    } catch (err) {
+        // The write is a single transaction, so a failure leaves the stored data as it was
+        console.error("Import failed:", err);
+        alert("Import failed, your existing data was left unchanged.");
+        return;
+    }
+    closeImportPreview();
+    alert("Database imported successfully!");
+    location.reload();
+}
+
+// Shared entry point for backup files, whether picked from disk or fetched from WebDAV.
+// savedPassphrase is tried when the passphrase field is empty (the stored WebDAV one).
+async function processImportText(text, savedPassphrase) {
+    let importedState;
+    try {
+        importedState = JSON.parse(text);
+    } catch (err) {
+        alert("Error parsing file.");
+        return;
+    }
+    if (isEncryptedBackup(importedState)) {
+        const passphraseEl = document.getElementById('backupPassphrase');
+        const passphrase = (passphraseEl && passphraseEl.value) || savedPassphrase || prompt("This backup is encrypted. Enter its passphrase:");
+        if (!passphrase) return;
+        try {
+            importedState = JSON.parse(await decryptBackup(importedState, passphrase));
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+    }
+    if (!isPlainObject(importedState) || !importedState.exercises) {
+        alert("Invalid file format.");
+        return;
+    }
+    try {
+        migrateState(importedState);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    openImportPreview(importedState);
+}
+
+window.importData = function(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ''; // Allow re-selecting the same file
+    const reader = new FileReader();
+    reader.onload = (e) => processImportText(e.target.result);
+    reader.readAsText(file);
+};
+
+// --- WebDAV Backups ---
+// Uploads timestamped backup files to a WebDAV folder (e.g. Nextcloud) and restores from them.
+// The server must allow CORS requests from this app's origin. Whether uploads are encrypted is an
+// explicit setting with its own saved passphrase, so scheduled uploads never depend on form fields.
+const WEBDAV_FILE_PREFIX = 'workouts_backup_';
+const WEBDAV_SCHEDULE_INTERVALS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+let webdavConfig = {};
+let webdavUploadInProgress = false;
+
+function getWebdavHeaders(extra) {
+    const headers = { ...extra };
+    if (webdavConfig.username || webdavConfig.password) {
+        const credentials = new TextEncoder().encode(`${webdavConfig.username || ''}:${webdavConfig.password || ''}`);
+        headers['Authorization'] = `Basic ${bytesToBase64(credentials)}`;
+    }
+    return headers;
+}
+
+function getWebdavFolderUrl() {
+    return webdavConfig.url.replace(/\/*$/, '/');
+}
+
+async function loadWebdavConfig() {
+    webdavConfig = (await db.getMeta('webdavConfig')) || { schedule: 'off' };
+}
+
+async function uploadWebdavBackup() {
+    if (!webdavConfig.url || webdavUploadInProgress) return;
+    // Never fall back to a plaintext upload when encryption was asked for
+    if (webdavConfig.encrypt && !webdavConfig.passphrase) {
+        webdavConfig.lastError = 'encryption is on but no passphrase is saved';
+        await db.setMeta('webdavConfig', webdavConfig);
+        renderWebdavStatus();
+        showToast("Backup skipped: add a WebDAV encryption passphrase in Settings");
+        return;
+    }
+    webdavUploadInProgress = true;
+    renderWebdavStatus('Uploading backup…');
+
+    try {
+        const backup = await buildBackupFile(webdavConfig.encrypt ? webdavConfig.passphrase : '');
+        if (!backup) return;
+        const stamp = new Date().toISOString().replace(/:/g, '-').replace(/\.\d+Z$/, 'Z');
+        const response = await fetch(getWebdavFolderUrl() + encodeURIComponent(`${WEBDAV_FILE_PREFIX}${stamp}${backup.extension}`), {
+            method: 'PUT',
+            headers: getWebdavHeaders({ 'Content-Type': 'application/json' }),
+            body: backup.text
+        });
+        if (!response.ok) throw new Error(`Server responded ${response.status}`);
+
+        webdavConfig.lastBackupAt = new Date().toISOString();
+        webdavConfig.lastError = null;
+        showToast("Backup uploaded");
+    } catch (err) {
+        webdavConfig.lastError = err.message;
+        showToast(`Backup upload failed: ${err.message}`);
+    } finally {
+        webdavUploadInProgress = false;
+        await db.setMeta('webdavConfig', webdavConfig);
+        renderWebdavStatus();
+    }
+}
+
+function runScheduledWebdavBackup(trigger) {
+    if (!webdavConfig.url) return;
+    if (trigger === 'workout' && webdavConfig.schedule === 'workout') {
+        uploadWebdavBackup();
+        return;
+    }
+    const interval = WEBDAV_SCHEDULE_INTERVALS[webdavConfig.schedule];
+    const last = webdavConfig.lastBackupAt ? new Date(webdavConfig.lastBackupAt).getTime() : 0;
+    if (interval && Date.now() - last >= interval) uploadWebdavBackup();
+}
+
+// Newest first: [{ name, href, modified, size }]
+async function listWebdavBackups() {
+    const response = await fetch(getWebdavFolderUrl(), {
+        method: 'PROPFIND',
+        headers: getWebdavHeaders({ 'Depth': '1', 'Content-Type': 'application/xml' }),
+        body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getlastmodified/><d:getcontentlength/></d:prop></d:propfind>'
+    });
+    if (!response.ok) throw new Error(`Server responded ${response.status}`);
+
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const backups = [];
+    Array.from(xml.getElementsByTagNameNS('DAV:', 'response')).forEach(node => {
+        const hrefNode = node.getElementsByTagNameNS('DAV:', 'href')[0];
+        if (!hrefNode) return;
+        const href = hrefNode.textContent.trim();
+        const name = decodeURIComponent(href.split('/').filter(Boolean).pop() || '');
+        if (!name.startsWith(WEBDAV_FILE_PREFIX) || !name.endsWith('.json')) return;
+        const modifiedNode = node.getElementsByTagNameNS('DAV:', 'getlastmodified')[0];
+        const sizeNode = node.getElementsByTagNameNS('DAV:', 'getcontentlength')[0];
+        backups.push({
+            name,
+            href,
+            modified: modifiedNode ? new Date(modifiedNode.textContent).toISOString() : null,
+            size: sizeNode ? parseInt(sizeNode.textContent) || 0 : 0
+        });
+    });
+    return backups.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+window.refreshWebdavBackups = async function() {
+    const list = document.getElementById('webdavBackupList');
+    if (!list || !webdavConfig.url) return;
+    list.innerHTML = '<div class="text-sm text-secondary py-2">Loading…</div>';
+
+    let backups;
+    try {
+        backups = await listWebdavBackups();
+    } catch (err) {
+        list.innerHTML = `<div class="text-sm text-warning py-2">Couldn't list backups: ${escapeHtml(err.message)}</div>`;
+        return;
+    }
+    if (backups.length === 0) {
+        list.innerHTML = '<div class="text-sm text-secondary py-2">No remote backups yet.</div>';
+        return;
+    }
+    list.innerHTML = backups.map((b, i) => `
+        <div class="flex justify-between items-center py-2 border-b">
+            <div class="flex flex-col">
+                <span class="text-sm font-medium">${b.modified ? new Date(b.modified).toLocaleString() : escapeHtml(b.name)}</span>
+                <span class="text-xs text-secondary">${formatBytes(b.size)}${b.name.includes('.encrypted.') ? ' • Encrypted' : ''}</span>
+            </div>
+            <button class="btn-secondary btn-sm" onclick="restoreWebdavBackup(${i})">Restore</button>
+        </div>
+    `).join('');
+    list.dataset.backups = JSON.stringify(backups.map(b => b.href));
+};
+
+window.restoreWebdavBackup = async function(index) {
+    const list = document.getElementById('webdavBackupList');
+    const hrefs = list && list.dataset.backups ? JSON.parse(list.dataset.backups) : [];
+    if (!hrefs[index]) return;
+
+    try {
+        const response = await fetch(new URL(hrefs[index], getWebdavFolderUrl()).href, { headers: getWebdavHeaders() });
+        if (!response.ok) throw new Error(`Server responded ${response.status}`);
+        await processImportText(await response.text(), webdavConfig.encrypt ? webdavConfig.passphrase : '');
+    } catch (err) {
+        alert(`Couldn't download backup: ${err.message}`);
+    }
+};
+
+window.saveWebdavSettings = async function() {
+    const url = document.getElementById('webdavUrlInput').value.trim().substring(0, 500);
+    if (url && !/^https?:\/\//i.test(url)) {
+        alert("The WebDAV URL must start with http:// or https://");
+        return;
+    }
+    const encrypt = document.getElementById('webdavEncryptInput').value === 'on';
+    const passphrase = document.getElementById('webdavPassphraseInput').value.substring(0, 200);
+    if (url && encrypt && !passphrase) {
+        alert("Enter a passphrase to encrypt WebDAV backups, or turn encryption off.");
+        return;
+    }
+    webdavConfig.url = url;
+    webdavConfig.username = document.getElementById('webdavUserInput').value.trim().substring(0, 200);
+    webdavConfig.password = document.getElementById('webdavPasswordInput').value.substring(0, 200);
+    webdavConfig.schedule = document.getElementById('webdavScheduleInput').value;
+    webdavConfig.encrypt = encrypt;
+    webdavConfig.passphrase = encrypt ? passphrase : '';
+    webdavConfig.lastError = null;
+    await db.setMeta('webdavConfig', webdavConfig);
+    renderWebdavStatus();
+    showToast(url ? "WebDAV settings saved" : "WebDAV backups disabled");
+    if (url) refreshWebdavBackups();
+};
+
+window.backupToWebdavNow = function() {
+    if (!webdavConfig.url) return alert("Enter a WebDAV URL first.");
+    uploadWebdavBackup();
+};
+
+function renderWebdavStatus(message) {
+    const fields = {
+        webdavUrlInput: webdavConfig.url || '',
+        webdavUserInput: webdavConfig.username || '',
+        webdavPasswordInput: webdavConfig.password || '',
+        webdavScheduleInput: webdavConfig.schedule || 'off',
+        webdavEncryptInput: webdavConfig.encrypt ? 'on' : 'off',
+        webdavPassphraseInput: webdavConfig.passphrase || ''
+    };
+    Object.keys(fields).forEach(id => {
+        const el = document.getElementById(id);
+        if (el && document.activeElement !== el) el.value = fields[id];
+    });
+
+    const statusEl = document.getElementById('webdavStatus');
+    if (!statusEl) return;
+    statusEl.classList.toggle('text-warning', !message && !!webdavConfig.lastError);
+    if (message) {
+        statusEl.textContent = message;
+    } else if (!webdavConfig.url) {
+        statusEl.textContent = 'WebDAV backups are off.';
+    } else if (webdavConfig.lastError) {
+        statusEl.textContent = `Last upload failed: ${webdavConfig.lastError}`;
+    } else if (webdavConfig.lastBackupAt) {
+        statusEl.textContent = `Last backup ${new Date(webdavConfig.lastBackupAt).toLocaleString()}`;
+    } else {
+        statusEl.textContent = 'No backup uploaded yet.';
+    }
+}
+
+// --- Local Snapshots ---
+const SNAPSHOT_REASON_LABELS = {
+    daily: 'Daily',
+    import: 'Before Import',
+    wipe: 'Before Wipe',
+    restore: 'Before Restore',
+    unit: 'Before Unit Change',
+    manual: 'Manual'
+};
+
+// Snapshots taken right before data is replaced or rewritten. They're kept on their own count so a
+// run of daily snapshots can't prune away the one copy from before a bad import or wipe.
+const PROTECTIVE_SNAPSHOT_REASONS = ['import', 'wipe', 'restore', 'unit'];
+const PROTECTIVE_SNAPSHOT_KEEP = 10;
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function createSnapshot(reason) {
+    try {
+        const data = await db.load();
+        if (!data) return;
+        const usedIds = new Set((await db.listSnapshots()).map(snap => snap.id));
+        await db.addSnapshot({
+            id: createUniqueId(usedIds),
+            createdAt: new Date().toISOString(),
+            reason,
+            size: new Blob([JSON.stringify(data)]).size,
+            counts: {
+                workouts: (data.workoutHistory || []).length,
+                programs: (data.programs || []).length,
+                exercises: (data.exercises || []).length,
+                bodyweight: (data.bodyweightHistory || []).length
+            },
+            data
+        });
+        await pruneSnapshots();
+    } catch (err) {
+        console.error("Snapshot failed:", err);
+    }
+}
+
+async function pruneSnapshots() {
+    const keep = parseInt(state.snapshotRetention) || 14;
+    const snapshots = await db.listSnapshots();
+    const protective = snapshots.filter(snap => PROTECTIVE_SNAPSHOT_REASONS.includes(snap.reason));
+    const routine = snapshots.filter(snap => !PROTECTIVE_SNAPSHOT_REASONS.includes(snap.reason));
+    const expired = [...routine.slice(keep), ...protective.slice(PROTECTIVE_SNAPSHOT_KEEP)];
+    if (expired.length > 0) {
+        await db.deleteSnapshots(expired.map(snap => snap.id));
+    }
+}
+
+// Takes at most one automatic snapshot per calendar day, on app start
+async function createDailySnapshotIfDue() {
+    const snapshots = await db.listSnapshots();
+    const today = new Date().toDateString();
+    if (!snapshots.some(snap => snap.reason === 'daily' && new Date(snap.createdAt).toDateString() === today)) {
+        await createSnapshot('daily');
+    }
+}
+
+window.createManualSnapshot = async function() {
+    await createSnapshot('manual');
+    renderSnapshots();
+    showToast("Snapshot saved");
+};
+
+window.restoreSnapshot = async function(id) {
+    const snapshot = await db.getSnapshot(id);
+    if (!snapshot) return;
+    const when = new Date(snapshot.createdAt).toLocaleString();
+    if (!confirm(`Restore the snapshot from ${when}? Current data will be replaced (a snapshot of it is kept first).`)) return;
+
+    let data;
+    try {
+        data = migrateState(snapshot.data);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    await createSnapshot('restore');
+    try {
+        await db.save(data);
+    } catch (err) {
+        console.error("Restore failed:", err);
+        alert("Restore failed, your existing data was left unchanged.");
+        renderSnapshots();
+        return;
+    }
+    alert("Snapshot restored!");
+    location.reload();
+};
+
+window.deleteSnapshot = async function(id) {
+    if (!confirm("Delete this snapshot?")) return;
+    await db.deleteSnapshots([id]);
+    renderSnapshots();
+};
+
+window.setSnapshotRetention = async function(value) {
+    state.snapshotRetention = parseInt(value) || 14;
+    await saveState();
+    await pruneSnapshots();
+    renderSnapshots();
+};
+
+async function renderSnapshots() {
+    const list = document.getElementById('snapshotList');
+    if (!list) return;
+
+    const snapshots = await db.listSnapshots();
+    if (snapshots.length === 0) {
+        list.innerHTML = '<div class="text-sm text-secondary py-2">No snapshots yet.</div>';
+        return;
+    }
+
+    list.innerHTML = snapshots.map(snap => `
+        <div class="flex justify-between items-center py-2 border-b">
+            <div class="flex flex-col">
+                <span class="text-sm font-medium">${new Date(snap.createdAt).toLocaleString()}</span>
+                <span class="text-xs text-secondary">${escapeHtml(SNAPSHOT_REASON_LABELS[snap.reason] || snap.reason)} • ${formatBytes(snap.size || 0)} • ${snap.counts.workouts} workouts • ${snap.counts.programs} programs • ${snap.counts.bodyweight} weigh-ins</span>
+            </div>
+            <div class="flex items-center gap-2">
+                <button class="btn-secondary btn-sm" onclick="restoreSnapshot(${snap.id})">Restore</button>
+                <button class="btn-icon-xs btn-transparent-danger" onclick="deleteSnapshot(${snap.id})">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// --- Sync ---
+// Optional entity-level sync with a self-hosted HTTP endpoint. Only the per-entity collections
+// (exercises, programs, standaloneWorkouts, workoutHistory, bodyweightHistory) are synced;
+// settings and the in-progress workout stay on each device.
+//
+// Protocol (JSON over HTTP, with `Authorization: Bearer <token>` when a token is configured):
+//
+//   Change = {
+//     "collection": "exercises" | "programs" | "standaloneWorkouts" | "workoutHistory" | "bodyweightHistory",
+//     "id":         record id (number or string),
+//     "modifiedAt": ms since epoch of the local edit (0 = existed before sync was enabled),
+//     "deviceId":   id of the device that made the edit,
+//     "deleted":    true when the record was removed,
+//     "record":     the full record, or null when deleted,
+//     "schemaVersion": SCHEMA_VERSION of the app that wrote the record,
+//     "weightUnit": "kg" | "lbs", the unit the record's weights are in
+//   }
+//
+//   GET  <endpoint>/changes?since=<cursor>
+//     200 { "cursor": "<opaque string>", "changes": [Change, ...] }
+//     Returns the current winning copy of every record accepted after `since` (all records when
+//     `since` is empty), oldest first. The cursor is opaque to the client and is sent back as-is.
+//
+//   POST <endpoint>/changes
+//     body { "deviceId": "<id>", "changes": [Change, ...] }
+//     200 { "results": [{ "collection", "id", "status": "accepted" | "stale" }, ...] }
+//     For each change the server keeps whichever copy of (collection, id) wins the rule below and
+//     reports "stale" when its stored copy won. Accepted changes are returned by later GETs.
+//
+//   Conflict rule (applied identically by client and server, per record):
+//     the greater modifiedAt wins; on a tie the greater deviceId (string comparison) wins.
+//
+// A sync round first pulls and resolves remote changes against the local change log, then pushes
+// the local changes that survived. Pulled records are migrated and validated like an imported
+// backup and converted to this device's weight unit. One that can't be repaired is skipped, and its
+// key is kept in syncConfig.skipped and shown in Settings until a later pull brings a usable copy.
+// Stale changes stay in the log and the round pulls once more, so the server's winning copy replaces
+// the local one. Any non-2xx response aborts the round and is shown in Settings. sync-server/server.js is a reference implementation.
+let syncConfig = {};
+let syncInProgress = false;
+
+function resolveSyncConflict(local, remote) {
+    if (local.modifiedAt !== remote.modifiedAt) return local.modifiedAt > remote.modifiedAt ? 'local' : 'remote';
+    return String(local.deviceId) > String(remote.deviceId) ? 'local' : 'remote';
+}
+
+async function loadSyncConfig() {
+    syncConfig = (await db.getMeta('syncConfig')) || {};
+    if (!syncConfig.deviceId) {
+        syncConfig.deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+        await db.setMeta('syncConfig', syncConfig);
+    }
+    db.trackChanges = !!syncConfig.endpoint;
+}
+
+async function syncRequest(method, path, body) {
+    const headers = { 'Accept': 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (syncConfig.token) headers['Authorization'] = `Bearer ${syncConfig.token}`;
+
+    const response = await fetch(syncConfig.endpoint.replace(/\/+$/, '') + path, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) throw new Error(`Server responded ${response.status}`);
+    return response.json();
+}
+
+function applyRemoteChangesToState(changes) {
+    changes.forEach(change => {
+        const list = state[change.collection];
+        const index = list.findIndex(r => r.id === change.id);
+        if (change.deleted) {
+            if (index !== -1) list.splice(index, 1);
+        } else if (index !== -1) {
+            list[index] = change.record;
+        } else {
+            list.push(change.record);
+        }
+    });
+    state.exercises.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Brings a pulled record up to this app's schema and weight unit and runs the backup checks on it.
+// Returns the record to apply, or null when it can't be repaired. Throws for records from a newer app.
+function prepareRemoteRecord(remote) {
+    const record = remote.record;
+    const unit = getWeightUnitLabel();
+    // Changes from before the unit was sent can't be converted; they're taken as already in ours
+    const remoteUnit = remote.weightUnit === 'kg' || remote.weightUnit === 'lbs' ? remote.weightUnit : unit;
+    const data = migrateState({ schemaVersion: remote.schemaVersion || 0, weightUnit: remoteUnit, [remote.collection]: [record] });
+    applyBackupFixes(data, validateBackup(data), false);
+    if (!data[remote.collection].includes(record) || record.id !== remote.id) return null;
+    if (remoteUnit !== unit) convertRecordWeights(remote.collection, record, remoteUnit, unit);
+    return record;
+}
 
-        // 4️⃣ Workout Resume Detection
-        if (state.activeWorkout) {
-            openActiveWorkout();
-            showToast("Resumed incomplete workout!");
+async function runSync(isRetry) {
+    if (syncInProgress || !syncConfig.endpoint) return;
+    syncInProgress = true;
+    renderSyncStatus('Syncing…');
+    let retry = false;
+
+    try {
+        await saveState(); // Flush pending edits into the change log first
+
+        const pending = new Map((await db.getSyncChanges()).map(c => [c.key, c]));
+
+        // 1. Pull and resolve per record
+        const pulled = await syncRequest('GET', `/changes?since=${encodeURIComponent(syncConfig.cursor || '')}`);
+        const toApply = [];
+        const skipped = new Set(syncConfig.skipped || []);
+        (pulled.changes || []).forEach(remote => {
+            if (remote.deviceId === syncConfig.deviceId || !ENTITY_STORES.includes(remote.collection)) return;
+            const key = getSyncKey(remote.collection, remote.id);
+            if (!remote.deleted && (!isPlainObject(remote.record) || remote.record.id !== remote.id || !prepareRemoteRecord(remote))) {
+                skipped.add(key);
+                return;
+            }
+            skipped.delete(key);
+            const local = pending.get(key);
+            if (local && resolveSyncConflict({ ...local, deviceId: syncConfig.deviceId }, remote) === 'local') return;
+            pending.delete(key);
+            toApply.push(remote);
+        });
+
+        if (toApply.length > 0) {
+            await db.applyRemoteChanges(toApply);
+            applyRemoteChangesToState(toApply);
+            renderTrainingTab();
+            renderProgressDashboard();
+            renderProgramsList();
+            renderStandaloneWorkoutsList();
+            renderExercisesList();
+            renderBodyweight();
+        }
+
+        // 2. Push what's left
+        const outgoing = [];
+        pending.forEach(change => {
+            const record = change.deleted ? null : state[change.collection].find(r => r.id === change.id);
+            if (!change.deleted && !record) return; // Deleted since; the deletion entry supersedes this one
+            outgoing.push({
+                collection: change.collection,
+                id: change.id,
+                modifiedAt: change.modifiedAt,
+                deviceId: syncConfig.deviceId,
+                deleted: change.deleted,
+                record: record || null,
+                schemaVersion: SCHEMA_VERSION,
+                weightUnit: getWeightUnitLabel()
+            });
+        });
+        let sent = 0;
+        if (outgoing.length > 0) {
+            const pushed = await syncRequest('POST', '/changes', { deviceId: syncConfig.deviceId, changes: outgoing });
+            const staleKeys = new Set((pushed.results || [])
+                .filter(result => result.status === 'stale')
+                .map(result => getSyncKey(result.collection, result.id)));
+            await db.clearSyncChanges([...pending.values()].filter(change => !staleKeys.has(change.key)));
+            sent = outgoing.length - staleKeys.size;
+            retry = staleKeys.size > 0 && !isRetry;
         }
 
+        syncConfig.cursor = pulled.cursor;
+        syncConfig.skipped = [...skipped];
+        syncConfig.lastSyncedAt = new Date().toISOString();
+        syncConfig.lastError = null;
+        await db.setMeta('syncConfig', syncConfig);
+        renderSyncStatus();
+        if (toApply.length > 0 || sent > 0) {
+            showToast(`Synced: ${toApply.length} received, ${sent} sent`);
+        }
     } catch (err) {
-        console.error("Init failed:", err);
+        syncConfig.lastError = err.message;
+        await db.setMeta('syncConfig', syncConfig);
+        renderSyncStatus();
+    } finally {
+        syncInProgress = false;
     }
+    // The server kept a newer copy of something we pushed; pull it now rather than next round
+    if (retry) await runSync(true);
 }
 
-async function saveState() {
-    const stateToSave = {
-        exercises: state.exercises,
-        programs: state.programs,
-        standaloneWorkouts: state.standaloneWorkouts,
-        currentProgram: state.currentProgram,
-        currentWeek: state.currentWeek,
-        workoutHistory: state.workoutHistory,
-        bodyweightHistory: state.bodyweightHistory,
-        activeWorkout: state.activeWorkout,
-        weightUnit: state.weightUnit
-    };
-    await db.save(stateToSave);
-}
+window.syncNow = function() {
+    if (!syncConfig.endpoint) return alert("Enter a sync server URL first.");
+    runSync();
+};
 
-const debouncedSaveState = debounce(saveState, 1000);
+window.saveSyncSettings = async function() {
+    const endpointEl = document.getElementById('syncEndpointInput');
+    const tokenEl = document.getElementById('syncTokenInput');
+    const endpoint = endpointEl ? endpointEl.value.trim().substring(0, 500) : '';
+    const token = tokenEl ? tokenEl.value.trim().substring(0, 500) : '';
 
-window.resetApp = async function() {
-    if (confirm("Are you sure you want to wipe all data? This cannot be undone.")) {
-        await db.clear();
-        location.reload();
+    if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+        alert("The sync server URL must start with http:// or https://");
+        return;
     }
-}
 
-// --- Import / Export ---
-window.exportData = async function() {
-    const data = await db.load();
-    if (!data) return alert("No data to export.");
-    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(data));
-    const downloadNode = document.createElement('a');
-    downloadNode.setAttribute("href", dataStr);
-    downloadNode.setAttribute("download", `workouts_backup_${new Date().toISOString().split('T')[0]}.json`);
-    document.body.appendChild(downloadNode);
-    downloadNode.click();
-    downloadNode.remove();
-};
+    const wasEnabled = !!syncConfig.endpoint;
+    const serverChanged = endpoint !== syncConfig.endpoint;
+    syncConfig.endpoint = endpoint;
+    syncConfig.token = token;
+    if (serverChanged) {
+        syncConfig.cursor = '';
+        syncConfig.skipped = [];
+    }
+    await db.setMeta('syncConfig', syncConfig);
+    db.trackChanges = !!endpoint;
 
-window.importData = function(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        try {
-            const importedState = JSON.parse(e.target.result);
-            if (importedState && importedState.exercises) {
-                await db.save(importedState);
-                alert("Database imported successfully!");
-                location.reload();
-            } else {
-                alert("Invalid file format.");
-            }
-        } catch (err) {
-            alert("Error parsing file.");
-        }
-    };
-    reader.readAsText(file);
+    // A new server has never seen this device's data, so everything needs uploading
+    if (endpoint && (!wasEnabled || serverChanged)) await db.seedSyncChanges();
+
+    renderSyncStatus();
+    if (endpoint) runSync();
+    else showToast("Sync disabled");
 };
 
+function renderSyncStatus(message) {
+    const endpointEl = document.getElementById('syncEndpointInput');
+    const tokenEl = document.getElementById('syncTokenInput');
+    const statusEl = document.getElementById('syncStatus');
+    if (endpointEl && document.activeElement !== endpointEl) endpointEl.value = syncConfig.endpoint || '';
+    if (tokenEl && document.activeElement !== tokenEl) tokenEl.value = syncConfig.token || '';
+    if (!statusEl) return;
+
+    const skipped = syncConfig.skipped || [];
+    statusEl.classList.toggle('text-warning', !message && (!!syncConfig.lastError || skipped.length > 0));
+    if (message) {
+        statusEl.textContent = message;
+    } else if (!syncConfig.endpoint) {
+        statusEl.textContent = 'Sync is off.';
+    } else if (syncConfig.lastError) {
+        statusEl.textContent = `Last sync failed: ${syncConfig.lastError}`;
+    } else if (syncConfig.lastSyncedAt) {
+        statusEl.textContent = `Last synced ${new Date(syncConfig.lastSyncedAt).toLocaleString()}`;
+    } else {
+        statusEl.textContent = 'Not synced yet.';
+    }
+    if (!message && syncConfig.endpoint && skipped.length > 0) {
+        statusEl.textContent += `; skipped ${skipped.length} invalid record${skipped.length === 1 ? '' : 's'} from the server: ${skipped.join(', ')}`;
+    }
+}
+
 // --- Bodyweight Tracker ---
 window.logBodyweight = function() {
     const val = document.getElementById('bwInput').value;
     if (!val) return;
+    const id = Date.now();
     state.bodyweightHistory.push({
-        id: Date.now(),
+        id,
         date: new Date().toISOString(),
         weight: parseFloat(val)
     });
+    markDirty('bodyweightHistory', id);
     saveState();
     renderBodyweight();
     document.getElementById('bwInput').value = '';
@@ -595,6 +3741,7 @@ window.logBodyweight = function() {
 window.deleteBodyweight = function(id) {
     if (confirm("Delete this weight log?")) {
         state.bodyweightHistory = state.bodyweightHistory.filter(b => b.id !== id);
+        markDirty('bodyweightHistory', id);
         saveState();
         renderBodyweight();
     }
@@ -608,6 +3755,7 @@ window.editBodyweight = function(id) {
         newWeight = newWeight.trim().substring(0, 10); // Secure length constraint
         if (!isNaN(parseFloat(newWeight))) {
             entry.weight = parseFloat(newWeight);
+            markDirty('bodyweightHistory', id);
             saveState();
             renderBodyweight();
         }
@@ -747,6 +3895,14 @@ function initializeModals() {
     attachListener('finishWorkoutBtn', 'click', finishWorkout);
     attachListener('discardWorkoutBtn', 'click', discardWorkout);
     attachListener('addExerciseToActiveBtn', 'click', () => openExerciseSelection('activeWorkout'));
+    attachListener('closeSwapExerciseModal', 'click', closeSwapExercise);
+    attachListener('intervalTimerBtn', 'click', openIntervalSetup);
+    attachListener('closePlateCalculatorModal', 'click', closePlateCalculator);
+    attachListener('plateTargetInput', 'input', renderPlateCalculator);
+    attachListener('applyPlateWeightBtn', 'click', applyPlateWeight);
+    attachListener('closeIntervalSetupModal', 'click', closeIntervalSetup);
+    attachListener('startIntervalTimerBtn', 'click', startIntervalTimer);
+    attachListener('swapExerciseSearch', 'input', (e) => renderSwapExerciseList(e.target.value));
 
     attachListener('workoutNotes', 'input', (e) => {
         if (state.activeWorkout) {
@@ -764,6 +3920,14 @@ function initializeModals() {
         if (libBtn) libBtn.click();
     });
     attachListener('quickLogBtn', 'click', startQuickWorkout);
+
+    attachListener('closeImportPreviewModal', 'click', closeImportPreview);
+    attachListener('mergeImportBtn', 'click', confirmMergeImport);
+    attachListener('replaceImportBtn', 'click', confirmReplaceImport);
+
+    attachListener('closeCsvImportModal', 'click', closeCsvImport);
+    attachListener('cancelCsvImportBtn', 'click', closeCsvImport);
+    attachListener('confirmCsvImportBtn', 'click', confirmCsvImport);
     attachListener('exerciseSearch', 'input', filterExercises);
 }
 
@@ -779,17 +3943,21 @@ function renderProgressDashboard() {
             const exerciseData = state.exercises.find(e => e.id === ex.exerciseId);
             const exName = exerciseData ? exerciseData.name : 'Unknown';
             
+            const trackingType = getTrackingType(ex.exerciseId);
+            const bodyweightMode = getBodyweightMode(ex.exerciseId);
             ex.sets.forEach(s => {
-                totalVol += (parseFloat(s.weight) || 0) * (parseInt(s.reps) || 0);
+                totalVol += getSetVolume(s, trackingType, bodyweightMode);
             });
         });
     });
     
     // Recalculate all-time PRs manually since prsTriggered array was added recently
     state.exercises.forEach(ex => {
-        const maxes = getExerciseMaxes(ex.id);
-        if (maxes.maxWeight > 0) {
-            prs.push({ exerciseName: ex.name, type: 'Weight', value: maxes.maxWeight });
+        const trackingType = getTrackingType(ex.id);
+        const metric = TRACKING_TYPES[trackingType].prMetrics[0];
+        const best = getExerciseBests(ex.id)[metric];
+        if (best > 0) {
+            prs.push({ exerciseName: ex.name, type: metric, value: formatMetric(metric, best, trackingType) });
         }
     });
 
@@ -797,6 +3965,9 @@ function renderProgressDashboard() {
     document.getElementById('progStreak').textContent = calculateStreak();
     document.getElementById('progTotalPRs').textContent = prs.length;
 
+    renderImbalanceTrends();
+    renderRestAnalytics();
+
     const prList = document.getElementById('prDashboardList');
     prList.innerHTML = '';
     
@@ -816,6 +3987,160 @@ function renderProgressDashboard() {
     }
 }
 
+// Left / right balance over the last few sessions of every exercise logged per side
+const IMBALANCE_SESSIONS = 6;
+
+function renderImbalanceTrends() {
+    const section = document.getElementById('imbalanceSection');
+    const list = document.getElementById('imbalanceList');
+    if (!section || !list) return;
+
+    const sessionsByExercise = new Map();
+    [...state.workoutHistory].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(w => {
+        w.exercises.forEach(ex => {
+            const totals = getSideRepTotals(ex.sets);
+            if (!totals.left && !totals.right) return;
+            if (!sessionsByExercise.has(ex.exerciseId)) sessionsByExercise.set(ex.exerciseId, []);
+            sessionsByExercise.get(ex.exerciseId).push({ date: w.date, ...totals });
+        });
+    });
+
+    section.classList.toggle('hidden', sessionsByExercise.size === 0);
+    const exercisesMap = new Map(state.exercises.map(ex => [ex.id, ex.name]));
+    list.innerHTML = [...sessionsByExercise.entries()]
+        .map(([exerciseId, sessions]) => ({ name: exercisesMap.get(exerciseId) || 'Unknown Exercise', sessions: sessions.slice(-IMBALANCE_SESSIONS) }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ name, sessions }) => {
+            const latest = sessions[sessions.length - 1];
+            const latestPercent = getImbalancePercent(latest.left, latest.right);
+            const trend = sessions.map(s => {
+                const percent = getImbalancePercent(s.left, s.right);
+                const date = new Date(s.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+                return `<span class="imbalance-chip" title="${date}: L ${s.left} / R ${s.right}">${percent > 0 ? '+' : ''}${percent}%</span>`;
+            }).join('');
+            return `
+                <div class="py-3 px-4 border-b border-border-light">
+                    <div class="flex justify-between items-center mb-2">
+                        <span class="font-medium">${escapeHtml(name)}</span>
+                        <span class="badge ${Math.abs(latestPercent) < 5 ? 'badge-success' : 'badge-warning'}">${formatImbalance(latestPercent)}</span>
+                    </div>
+                    <div class="flex gap-1 flex-wrap">${trend}</div>
+                    <div class="text-xs text-secondary mt-1">Last session: L ${latest.left} / R ${latest.right} reps (+ means left did more)</div>
+                </div>
+            `;
+        }).join('');
+}
+
+// --- Set Timing & Rest Analytics ---
+// Completed sets carry completedAt. The gap between two completions in the same exercise (or the same
+// superset round to round) is taken as the actual rest and compared with the exercise's planned restTime.
+const REST_GAP_LIMIT_SECONDS = 20 * 60; // Longer gaps are breaks, not rest
+const REST_ANALYTICS_SESSIONS = 10;
+
+function getSessionTimeline(workout) {
+    const groupInfo = getExerciseGroupInfo(workout.exercises || []);
+    const events = [];
+    (workout.exercises || []).forEach((ex, exIndex) => {
+        const group = groupInfo[exIndex];
+        (ex.sets || []).forEach((set, setIndex) => {
+            if (!set.completedAt || !isValidDate(set.completedAt)) return;
+            events.push({
+                exerciseId: ex.exerciseId,
+                exIndex,
+                setIndex,
+                block: group ? `g${group.start}` : `e${exIndex}`,
+                roundEnd: !group || exIndex === group.end,
+                restTime: ex.restTime !== undefined ? parseInt(ex.restTime) || 0 : getRestTimeForExercise(ex.exerciseId),
+                at: new Date(set.completedAt).getTime()
+            });
+        });
+    });
+    events.sort((a, b) => a.at - b.at);
+
+    events.forEach((event, i) => {
+        const prev = events[i - 1];
+        if (!prev || prev.block !== event.block || !prev.roundEnd) return;
+        const gap = Math.round((event.at - prev.at) / 1000);
+        if (gap <= REST_GAP_LIMIT_SECONDS) {
+            event.actualRest = gap;
+            event.plannedRest = prev.restTime;
+        }
+    });
+    return events;
+}
+
+function getRestStats(events) {
+    const rested = events.filter(e => e.actualRest !== undefined);
+    if (rested.length === 0) return null;
+    return {
+        count: rested.length,
+        actual: Math.round(rested.reduce((sum, e) => sum + e.actualRest, 0) / rested.length),
+        planned: Math.round(rested.reduce((sum, e) => sum + e.plannedRest, 0) / rested.length)
+    };
+}
+
+function formatRestDelta(actual, planned) {
+    const delta = actual - planned;
+    if (Math.abs(delta) < 5) return 'on plan';
+    return `${delta > 0 ? '+' : '−'}${formatDuration(Math.abs(delta))}`;
+}
+
+function renderSessionTimeline(record, exercisesMap) {
+    const events = getSessionTimeline(record);
+    if (events.length === 0) return '';
+    const start = record.startedAt && isValidDate(record.startedAt) ? new Date(record.startedAt).getTime() : events[0].at;
+    const stats = getRestStats(events);
+    const setLabels = (record.exercises || []).map(ex => getSetLabels(ex.sets || []));
+    const rows = events.map(e => `
+        <div class="timeline-row">
+            <span class="timeline-time">${formatDuration(Math.max(0, Math.round((e.at - start) / 1000)))}</span>
+            <span class="flex-grow">${escapeHtml(exercisesMap.get(e.exerciseId) || 'Unknown Exercise')} · ${setLabels[e.exIndex][e.setIndex]}</span>
+            ${e.actualRest !== undefined ? `<span class="text-xs ${e.actualRest - e.plannedRest >= 5 ? 'text-warning' : 'text-secondary'}">rest ${formatDuration(e.actualRest)} / ${formatDuration(e.plannedRest)}</span>` : ''}
+        </div>
+    `).join('');
+    return `
+        <details class="session-timeline mt-2">
+            <summary class="text-xs text-secondary">Timeline${stats ? ` • avg rest ${formatDuration(stats.actual)} vs ${formatDuration(stats.planned)} planned` : ''}</summary>
+            ${rows}
+        </details>
+    `;
+}
+
+// Average actual vs planned rest per exercise over the most recent timed sessions
+function renderRestAnalytics() {
+    const section = document.getElementById('restAnalyticsSection');
+    const list = document.getElementById('restAnalyticsList');
+    if (!section || !list) return;
+
+    const timedSessions = [...state.workoutHistory]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .map(w => getSessionTimeline(w))
+        .filter(events => events.some(e => e.actualRest !== undefined))
+        .slice(0, REST_ANALYTICS_SESSIONS);
+
+    const byExercise = new Map();
+    timedSessions.forEach(events => events.forEach(e => {
+        if (e.actualRest === undefined) return;
+        if (!byExercise.has(e.exerciseId)) byExercise.set(e.exerciseId, []);
+        byExercise.get(e.exerciseId).push(e);
+    }));
+
+    section.classList.toggle('hidden', byExercise.size === 0);
+    const exercisesMap = new Map(state.exercises.map(ex => [ex.id, ex.name]));
+    list.innerHTML = [...byExercise.entries()]
+        .map(([exerciseId, events]) => ({ name: exercisesMap.get(exerciseId) || 'Unknown Exercise', stats: getRestStats(events) }))
+        .sort((a, b) => (b.stats.actual - b.stats.planned) - (a.stats.actual - a.stats.planned))
+        .map(({ name, stats }) => `
+            <div class="flex justify-between items-center py-3 px-4 border-b border-border-light">
+                <div class="flex flex-col">
+                    <span class="font-medium">${escapeHtml(name)}</span>
+                    <span class="text-xs text-secondary">${formatDuration(stats.actual)} actual vs ${formatDuration(stats.planned)} planned • ${stats.count} rests</span>
+                </div>
+                <span class="badge ${stats.actual - stats.planned >= 5 ? 'badge-warning' : 'badge-success'}">${formatRestDelta(stats.actual, stats.planned)}</span>
+            </div>
+        `).join('');
+}
+
 // --- History Logic ---
 function openHistoryModal() {
     setModalOpen('historyModal');
@@ -829,6 +4154,7 @@ function closeHistoryModal() {
 window.deleteHistoryWorkout = function(id) {
     if (confirm("Are you sure you want to delete this workout log?")) {
         state.workoutHistory = state.workoutHistory.filter(w => w.id !== id);
+        markDirty('workoutHistory', id);
         saveState();
         renderHistory();
         renderTrainingTab(); // Re-render streak if needed
@@ -871,15 +4197,30 @@ function renderHistory() {
         card.className = 'card';
 
         let exercisesHTML = '';
-        record.exercises.forEach(ex => {
+        const groupInfo = getExerciseGroupInfo(record.exercises);
+        record.exercises.forEach((ex, exIndex) => {
             const exerciseName = exercisesMap.get(ex.exerciseId) || 'Unknown Exercise';
-            const bestSet = ex.sets.reduce((max, curr) => Number(curr.weight) > Number(max.weight) ? curr : max, ex.sets[0]);
+            const group = groupInfo[exIndex];
+            const trackingType = getTrackingType(ex.exerciseId);
+            const bodyweightMode = getBodyweightMode(ex.exerciseId);
+            const bestMetric = TRACKING_TYPES[trackingType].prMetrics[0];
+            const best = ex.sets.filter(isWorkingSet).reduce((max, curr) => {
+                const value = getSetMetric(curr, bestMetric, bodyweightMode);
+                return isMetricImprovement(bestMetric, value, max) ? value : max;
+            }, 0);
+            const setLabels = getSetLabels(ex.sets);
+            const sides = getSideRepTotals(ex.sets);
+            const sidesStr = sides.left || sides.right ? ` • L/R ${sides.left}/${sides.right}` : '';
 
             let setsDetails = '<div class="w-full flex flex-col gap-1">';
             ex.sets.forEach((set, i) => {
-                const weightStr = set.weight ? `${escapeHtml(String(set.weight))}${getWeightUnitLabel()}` : 'BW';
+                const effort = formatEffort(set.rpe);
+                const effortStr = effort ? ` @ ${getEffortLabel()} ${escapeHtml(effort)}` : '';
+                const type = getSetType(set);
+                const typeBadge = type !== 'normal' ? `<span class="set-type-tag set-type-${type}">${SET_TYPES[type].label}</span>` : '';
                 setsDetails += `<div class="flex justify-between text-sm text-secondary px-2">
-                    <span>Set ${i+1}: ${weightStr} × ${escapeHtml(String(set.reps || 0))}</span>
+                    <span>Set ${setLabels[i]}: ${escapeHtml(formatSetSummary(set, trackingType, bodyweightMode))}${effortStr}</span>
+                    ${typeBadge}
                 </div>`;
                 if (set.note) {
                     setsDetails += `<div class="text-xs text-tertiary italic ml-4 pl-2 mb-1" style="border-left: 2px solid var(--border);">Note: ${escapeHtml(set.note)}</div>`;
@@ -888,17 +4229,29 @@ function renderHistory() {
             setsDetails += '</div>';
 
             exercisesHTML += `
-                <div class="history-card-row">
+                <div class="history-card-row ${group ? 'grouped' : ''}">
                     <div class="flex justify-between items-center w-full mb-2">
-                        <span class="font-bold text-primary">${escapeHtml(exerciseName)}</span>
-                        <span class="text-xs text-secondary">${ex.sets.length} sets • Best: ${bestSet && bestSet.weight ? escapeHtml(String(bestSet.weight)) : 0}</span>
+                        <span class="font-bold text-primary">${group ? `<span class="group-code">${group.code}</span>` : ''}${escapeHtml(exerciseName)}</span>
+                        <span class="text-xs text-secondary">${ex.sets.length} sets • Best: ${best ? escapeHtml(String(formatMetric(bestMetric, best, trackingType))) : 0}${sidesStr}</span>
                     </div>
+                    ${ex.substitutedFor !== undefined ? `<div class="text-xs text-secondary mb-1">⇄ Swapped in for ${escapeHtml(exercisesMap.get(ex.substitutedFor) || 'Unknown Exercise')}</div>` : ''}
                     ${setsDetails}
                 </div>
             `;
         });
 
+        (record.intervals || []).forEach(entry => {
+            exercisesHTML += `
+                <div class="history-card-row">
+                    <span class="font-bold text-primary">⏱ ${escapeHtml(formatIntervalSummary(entry))}</span>
+                </div>
+            `;
+        });
+
         const progWeekInfo = record.programId ? ` • Week ${record.week || 1}` : '';
+        const timeRange = record.startedAt && record.endedAt
+            ? `${new Date(record.startedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}–${new Date(record.endedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`
+            : '';
 
         card.innerHTML = `
             <div class="flex justify-between items-center mb-2 border-b pb-2">
@@ -908,9 +4261,11 @@ function renderHistory() {
             <div>
                 ${exercisesHTML}
             </div>
+            ${renderSessionTimeline(record, exercisesMap)}
             ${notesHTML}
             <div class="flex gap-2 mt-4 pt-2 border-t">
                 <button class="btn-secondary btn-sm flex-grow" onclick="editHistoryWorkout(${record.id})">Edit</button>
+                <button class="btn-secondary btn-sm" title="${timeRange ? `Started–ended ${timeRange}` : 'Set duration'}" onclick="editHistoryDuration(${record.id})">⏱ ${record.duration !== undefined ? formatDuration(record.duration) : 'Add time'}</button>
                 <button class="btn-text-danger btn-sm" onclick="deleteHistoryWorkout(${record.id})">Delete</button>
             </div>
         `;
@@ -1150,7 +4505,8 @@ function renderTrainingTab() {
 }
 
 // Helper to auto-fill prior weights/reps
-function getAutoFillForExercise(exerciseId, setIndex) {
+// setIndex counts only sets of the given type, so warm-ups seed warm-ups and working sets seed working sets
+function getAutoFillForExercise(exerciseId, setIndex, type = 'normal') {
     const matches = [];
     state.workoutHistory.forEach(workout => {
         const ex = workout.exercises.find(e => e.exerciseId === exerciseId);
@@ -1161,10 +4517,39 @@ function getAutoFillForExercise(exerciseId, setIndex) {
     // Sort to get newest
     matches.sort((a, b) => new Date(b.date) - new Date(a.date));
     const lastSession = matches[0];
+    const sameType = lastSession.sets.filter(s => getSetType(s) === type);
     
-    if (lastSession.sets[setIndex]) return lastSession.sets[setIndex];
-    if (lastSession.sets.length > 0) return lastSession.sets[lastSession.sets.length - 1]; // fallback
-    return null;
+    if (sameType[setIndex]) return sameType[setIndex];
+    if (sameType.length > 0) return sameType[sameType.length - 1]; // fallback
+    if (type === 'warmup') return null;
+    const workingSets = lastSession.sets.filter(isWorkingSet);
+    return workingSets.length > 0 ? workingSets[workingSets.length - 1] : null;
+}
+
+// Turns template sets into active workout sets, prefilled from the last session
+function createSessionSets(exerciseId, templateSets) {
+    if (!Array.isArray(templateSets)) return [];
+    const trackingType = getTrackingType(exerciseId);
+    const typeCounts = {};
+    return templateSets.map(s => {
+        const type = getSetType(s);
+        const typeIndex = typeCounts[type] || 0;
+        typeCounts[type] = typeIndex + 1;
+        const autofill = getAutoFillForExercise(exerciseId, typeIndex, type);
+        const sessionSet = {
+            type,
+            ...pickSetMeasures(autofill, trackingType, isUnilateral(exerciseId)),
+            targetReps: s.reps || '',
+            targetRpe: s.targetRpe !== undefined ? s.targetRpe : '',
+            rpe: '',
+            note: '',
+            completed: false
+        };
+        if (sessionSet.weight) sessionSet.weight = roundAutofillWeight(sessionSet.weight, exerciseId);
+        if (s.duration) sessionSet.targetDuration = s.duration;
+        if (s.distance) sessionSet.targetDistance = s.distance;
+        return sessionSet;
+    });
 }
 
 // 1️⃣ Action to Auto-Fill all sets for an exercise actively in workout
@@ -1181,17 +4566,29 @@ window.autofillExerciseSets = function(exIndex) {
         matches.sort((a, b) => new Date(b.date) - new Date(a.date));
         const lastSets = matches[0].sets;
         
-        state.activeWorkout.exercises[exIndex].sets = lastSets.map(s => ({
-            weight: s.weight || '',
-            reps: s.reps || '',
-            targetReps: s.reps || '',
-            note: '',
-            completed: false
-        }));
+        const trackingType = getTrackingType(exerciseId);
+        const currentSets = state.activeWorkout.exercises[exIndex].sets;
+        state.activeWorkout.exercises[exIndex].sets = lastSets.map((s, i) => {
+            const measures = pickSetMeasures(s, trackingType, isUnilateral(exerciseId));
+            if (measures.weight) measures.weight = roundAutofillWeight(measures.weight, exerciseId);
+            return {
+                type: getSetType(s),
+                ...measures,
+                targetReps: s.reps || '',
+                // Keep the program's target; last session's logged effort is shown under "Last", not prescribed
+                targetRpe: currentSets[i] && currentSets[i].targetRpe !== undefined && currentSets[i].targetRpe !== ''
+                    ? currentSets[i].targetRpe
+                    : (s.targetRpe !== undefined ? s.targetRpe : ''),
+                rpe: '',
+                note: '',
+                completed: false
+            };
+        });
         
         saveState();
         renderActiveExercises();
         showToast("Auto-filled past performance 🔄");
+        showAutofillRoundings();
     }
 };
 
@@ -1208,17 +4605,9 @@ window.startProgramWorkout = function(programId, index) {
 
     const sessionExercises = template.exercises.map(ex => ({
         exerciseId: ex.exerciseId,
+        groupId: ex.groupId,
         restTime: ex.restTime !== undefined ? ex.restTime : getRestTimeForExercise(ex.exerciseId),
-        sets: Array.isArray(ex.sets) ? ex.sets.map((s, i) => {
-            const autofill = getAutoFillForExercise(ex.exerciseId, i);
-            return {
-                weight: autofill && autofill.weight ? autofill.weight : '',
-                targetReps: s.reps || '',
-                reps: autofill && autofill.reps ? autofill.reps : '',
-                note: '',
-                completed: false
-            }
-        }) : []
+        sets: createSessionSets(ex.exerciseId, ex.sets)
     }));
 
     state.activeWorkout = {
@@ -1235,6 +4624,7 @@ window.startProgramWorkout = function(programId, index) {
 
     saveState();
     openActiveWorkout();
+    showAutofillRoundings();
 
     const tabBtn = document.querySelector('.tab-btn[data-tab="training"]');
     if (tabBtn) tabBtn.click();
@@ -1250,17 +4640,9 @@ function startStandaloneWorkout(id) {
 
     const sessionExercises = template.exercises.map(ex => ({
         exerciseId: ex.exerciseId,
+        groupId: ex.groupId,
         restTime: ex.restTime !== undefined ? ex.restTime : getRestTimeForExercise(ex.exerciseId),
-        sets: Array.isArray(ex.sets) ? ex.sets.map((s, i) => {
-            const autofill = getAutoFillForExercise(ex.exerciseId, i);
-            return {
-                weight: autofill && autofill.weight ? autofill.weight : '',
-                targetReps: s.reps || '',
-                reps: autofill && autofill.reps ? autofill.reps : '',
-                note: '',
-                completed: false
-            }
-        }) : []
+        sets: createSessionSets(ex.exerciseId, ex.sets)
     }));
 
     state.activeWorkout = {
@@ -1275,6 +4657,7 @@ function startStandaloneWorkout(id) {
 
     saveState();
     openActiveWorkout();
+    showAutofillRoundings();
 }
 
 function startQuickWorkout() {
@@ -1311,8 +4694,10 @@ function openActiveWorkout() {
     if (!state.activeWorkout.prs) state.activeWorkout.prs = [];
 
     renderActiveExercises();
+    renderActiveIntervals();
     renderTrainingTab();
     startWorkoutTimer();
+    resumeRestTimer();
 }
 
 function closeActiveWorkout() {
@@ -1337,11 +4722,18 @@ function getLastExercisePerformance(exerciseId) {
 
     matches.sort((a, b) => new Date(b.date) - new Date(a.date));
     const last = matches[0];
-    const bestSet = last.sets.reduce((max, curr) => Number(curr.weight) > Number(max.weight) ? curr : max, last.sets[0]);
+    const workingSets = last.sets.filter(isWorkingSet);
+    if (workingSets.length === 0) return null;
+    const metric = TRACKING_TYPES[getTrackingType(exerciseId)].prMetrics[0];
+    const bodyweightMode = getBodyweightMode(exerciseId);
+    const bestSet = workingSets.reduce((max, curr) => isMetricImprovement(metric, getSetMetric(curr, metric, bodyweightMode), getSetMetric(max, metric, bodyweightMode)) ? curr : max, workingSets[0]);
 
     return {
         weight: bestSet.weight,
-        reps: bestSet.reps
+        reps: bestSet.reps,
+        duration: bestSet.duration,
+        distance: bestSet.distance,
+        rpe: bestSet.rpe
     };
 }
 
@@ -1353,12 +4745,38 @@ window.updateActiveExerciseRest = function(exIndex, val) {
 
 // 3️⃣ Quick Weight Adjustment Logic
 window.quickAdjustExerciseWeight = function(exIndex, amount) {
-    state.activeWorkout.exercises[exIndex].sets.forEach(set => {
+    const exercise = state.activeWorkout.exercises[exIndex];
+    const isBarbell = getEquipment(exercise.exerciseId) === 'barbell' && !getBodyweightMode(exercise.exerciseId);
+    exercise.sets.forEach(set => {
         let w = parseFloat(set.weight) || 0;
-        w += amount;
+        w = Math.round((w + amount) * 100) / 100;
+        // Dumbbells, stacks and machines only come in fixed steps
+        if (!isBarbell) w = roundToLoadable(w, exercise.exerciseId);
         if (w < 0) w = 0;
         set.weight = w;
     });
+
+    // Offer the nearest loadable weights when the new load can't be put on the bar
+    loadableSuggestion = null;
+    const pendingIndex = exercise.sets.findIndex(s => !s.completed);
+    const setIndex = pendingIndex === -1 ? 0 : pendingIndex;
+    const weight = exercise.sets[setIndex] ? parseFloat(exercise.sets[setIndex].weight) : 0;
+    if (weight > 0 && isBarbell) {
+        const nearest = getNearestLoadable(weight, getPlateInventory());
+        if (nearest.below !== weight) loadableSuggestion = { exIndex, setIndex, exerciseId: exercise.exerciseId, weight, ...nearest };
+    }
+    saveState();
+    renderActiveExercises();
+};
+
+// Puts a suggested loadable weight on the set the suggestion was made for, leaving the others alone
+window.applyLoadableSuggestion = function(exIndex, weight) {
+    const suggestion = loadableSuggestion;
+    const exercise = state.activeWorkout.exercises[exIndex];
+    loadableSuggestion = null;
+    if (!suggestion || suggestion.exIndex !== exIndex || !exercise || exercise.exerciseId !== suggestion.exerciseId) return;
+    const set = exercise.sets[suggestion.setIndex];
+    if (set) set.weight = weight;
     saveState();
     renderActiveExercises();
 };
@@ -1374,23 +4792,46 @@ function renderActiveExercises() {
 
     const exercisesMap = new Map(state.exercises.map(ex => [ex.id, ex]));
 
-    state.activeWorkout.exercises.forEach((exercise, exIndex) => {
+    const exercises = state.activeWorkout.exercises;
+    const groupInfo = getExerciseGroupInfo(exercises);
+
+    exercises.forEach((exercise, exIndex) => {
         const exerciseData = exercisesMap.get(exercise.exerciseId);
+        const group = groupInfo[exIndex];
         const card = document.createElement('div');
-        card.className = 'workout-card';
+        card.className = 'workout-card draggable-item';
+        if (group) {
+            card.classList.add('grouped');
+            if (exIndex === group.start) card.classList.add('group-first');
+            if (exIndex === group.end) card.classList.add('group-last');
+        }
+        const groupBadge = group ? `<span class="badge badge-primary group-badge">${group.code} · ${group.name}</span>` : '';
+        const linkBtn = exIndex < exercises.length - 1 ? `
+                    <button class="btn-icon-sm ${isGroupedWithNext(exercises, exIndex) ? 'active' : ''}" title="${isGroupedWithNext(exercises, exIndex) ? 'Unlink from next exercise' : 'Superset with next exercise'}" onclick="toggleActiveGroup(${exIndex})">
+                        ${LINK_ICON}
+                    </button>` : '';
 
         const exName = exerciseData ? escapeHtml(exerciseData.name) : 'Unknown Exercise';
         
+        const trackingType = getTrackingType(exercise.exerciseId);
+        const bodyweightMode = getBodyweightMode(exercise.exerciseId);
+        const unilateral = isUnilateral(exercise.exerciseId);
+        const measureFields = TRACKING_TYPES[trackingType].fields;
         const lastPerf = getLastExercisePerformance(exercise.exerciseId);
         let lastPerfHTML = `<span class="text-xs text-secondary mt-2 mb-1 inline-block">New Exercise</span>`;
         let autofillBtn = ``;
         
         if (lastPerf) {
-            const e1rm = getE1RM(lastPerf.weight, lastPerf.reps);
+            const lastEffort = formatEffort(lastPerf.rpe);
+            const lastLabel = (trackingType === 'weight_reps' && !bodyweightMode ? `${lastPerf.weight} x ${lastPerf.reps}` : formatSetSummary(lastPerf, trackingType, bodyweightMode))
+                + (lastEffort ? ` @ ${getEffortLabel()} ${lastEffort}` : '');
+            const e1rmBadge = trackingType === 'weight_reps'
+                ? `<span class="badge badge-secondary" style="background:var(--surface); border-color:var(--border-light);">E1RM: ${getSetMetric(lastPerf, '1RM', bodyweightMode)}</span>`
+                : '';
             lastPerfHTML = `
                 <div class="flex items-center gap-2 mt-2 mb-1 flex-wrap">
-                    <span class="badge badge-primary">Last: ${escapeHtml(String(lastPerf.weight))} x ${escapeHtml(String(lastPerf.reps))}</span>
-                    <span class="badge badge-secondary" style="background:var(--surface); border-color:var(--border-light);">E1RM: ${e1rm}</span>
+                    <span class="badge badge-primary">Last: ${escapeHtml(String(lastLabel))}</span>
+                    ${e1rmBadge}
                 </div>
             `;
             // Add autofill button since history exists
@@ -1416,16 +4857,31 @@ function renderActiveExercises() {
         let setsHTML = `
             <div class="flex justify-between items-start mb-2">
                 <div>
-                    <h3 class="text-lg mb-0">${exName}</h3>
+                    ${groupBadge}
+                    <div class="flex items-center gap-2">
+                        <span class="drag-handle" title="Drag to reorder">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="6" r="1.5" fill="currentColor" stroke="none"/><circle cx="15" cy="6" r="1.5" fill="currentColor" stroke="none"/><circle cx="9" cy="12" r="1.5" fill="currentColor" stroke="none"/><circle cx="15" cy="12" r="1.5" fill="currentColor" stroke="none"/><circle cx="9" cy="18" r="1.5" fill="currentColor" stroke="none"/><circle cx="15" cy="18" r="1.5" fill="currentColor" stroke="none"/></svg>
+                        </span>
+                        <h3 class="text-lg mb-0">${exName}</h3>
+                    </div>
+                    ${exercise.substitutedFor !== undefined ? `<span class="text-xs text-secondary">⇄ Swapped in for ${escapeHtml((state.exercises.find(e => e.id === exercise.substitutedFor) || { name: 'Unknown Exercise' }).name)}</span>` : ''}
                     <div class="flex flex-col items-start">
                         ${lastPerfHTML}
                         ${restBadge}
+                        ${bodyweightMode && !getLatestBodyweight() ? '<span class="text-xs text-warning mt-1">Log your bodyweight to count the full load</span>' : ''}
                     </div>
                 </div>
                 <div class="flex flex-col items-end gap-2">
                     <button class="btn-icon-sm btn-transparent-danger" onclick="removeActiveExercise(${exIndex})">
                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                     </button>
+                    <button class="btn-icon-sm" title="Swap exercise" onclick="openSwapExercise(${exIndex})">
+                       <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"></polyline><path d="M3 11V9a4 4 0 0 1 4-4h14"></path><polyline points="7 23 3 19 7 15"></polyline><path d="M21 13v2a4 4 0 0 1-4 4H3"></path></svg>
+                    </button>
+                    <button class="btn-icon-sm" title="Insert exercise below" onclick="insertActiveExerciseAt(${exIndex + 1})">
+                       <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>
+                    </button>
+                    ${linkBtn}
                 </div>
             </div>
             
@@ -1433,29 +4889,40 @@ function renderActiveExercises() {
                 ${autofillBtn}
             </div>
 
+            ${measureFields.includes('weight') ? `
             <div class="quick-adjust-bar">
-                <button class="quick-adjust-btn" onclick="quickAdjustExerciseWeight(${exIndex}, -10)">-10</button>
-                <button class="quick-adjust-btn" onclick="quickAdjustExerciseWeight(${exIndex}, -5)">-5</button>
-                <button class="quick-adjust-btn" onclick="quickAdjustExerciseWeight(${exIndex}, 5)">+5</button>
-                <button class="quick-adjust-btn" onclick="quickAdjustExerciseWeight(${exIndex}, 10)">+10</button>
+                ${getQuickAdjustSteps(exercise.exerciseId).map(step => `
+                    <button class="quick-adjust-btn" onclick="quickAdjustExerciseWeight(${exIndex}, ${step})">${step > 0 ? '+' : ''}${step}</button>
+                `).join('')}
+                ${getEquipment(exercise.exerciseId) === 'barbell' && !bodyweightMode ? `<button class="quick-adjust-btn" title="Plate calculator" onclick="openPlateCalculator(${exIndex})">Plates</button>` : ''}
             </div>
+            ${loadableSuggestion && loadableSuggestion.exIndex === exIndex && loadableSuggestion.exerciseId === exercise.exerciseId ? `
+            <div class="flex items-center gap-2 mb-3 flex-wrap text-xs">
+                <span class="text-warning">${loadableSuggestion.weight} can't be loaded. Nearest:</span>
+                ${[loadableSuggestion.below, loadableSuggestion.above].filter(w => w !== null).map(w => `
+                    <button class="btn-secondary btn-sm" onclick="applyLoadableSuggestion(${exIndex}, ${w})">${w}</button>
+                `).join('')}
+            </div>` : ''}` : ''}
 
             <div class="set-row mb-2">
                 <span class="set-header text-center">Set</span>
-                <span class="set-header text-center">${getWeightUnitLabel().toUpperCase()}</span>
-                <span class="set-header text-center">Reps</span>
+                ${measureFields.length < 2 ? '<span></span>' : ''}
+                ${measureFields.map(field => `<span class="set-header text-center">${field === 'weight' && bodyweightMode ? BODYWEIGHT_MODES[bodyweightMode].sign : ''}${getMeasureLabel(field, trackingType)}${field === 'reps' && unilateral ? ' L/R' : ''}</span>`).join('')}
+                <span class="set-header text-center">${getEffortLabel()}</span>
                 <span class="set-header text-center">Done</span>
             </div>
         `;
 
+        const setLabels = getSetLabels(exercise.sets);
         exercise.sets.forEach((set, setIndex) => {
+            const setType = getSetType(set);
             setsHTML += `
-                <div class="set-row">
-                    <span class="text-center text-secondary font-bold text-sm">${setIndex + 1}</span>
-                    <input type="text" inputmode="decimal" value="${set.weight !== undefined ? escapeHtml(String(set.weight)) : ''}" placeholder="-" 
-                        oninput="enforceNumeric(this, true); updateActiveSet(${exIndex}, ${setIndex}, 'weight', this.value)">
-                    <input type="text" inputmode="numeric" value="${set.reps !== undefined ? escapeHtml(String(set.reps)) : ''}" placeholder="${set.targetReps ? escapeHtml(String(set.targetReps)) : '-'}" 
-                        oninput="enforceNumeric(this, false); updateActiveSet(${exIndex}, ${setIndex}, 'reps', this.value)">
+                <div class="set-row" data-set="${exIndex}-${setIndex}">
+                    <button class="set-type-btn set-type-${setType}" title="${SET_TYPES[setType].label} (tap to change)" onclick="cycleActiveSetType(${exIndex}, ${setIndex})">${setLabels[setIndex]}</button>
+                    ${measureFields.length < 2 ? '<span></span>' : ''}
+                    ${measureFields.map(field => renderActiveMeasureInput(field, set, exIndex, setIndex, trackingType, unilateral)).join('')}
+                    <input type="text" inputmode="decimal" value="${escapeHtml(formatEffort(set.rpe))}" placeholder="${formatEffort(set.targetRpe) ? escapeHtml(formatEffort(set.targetRpe)) : '-'}" 
+                        oninput="enforceNumeric(this, true); updateActiveSetEffort(${exIndex}, ${setIndex}, this.value)">
                     <button class="set-btn ${set.completed ? 'completed' : ''}" 
                         onclick="toggleSetComplete(${exIndex}, ${setIndex})">
                         ${set.completed ? '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>' : ''}
@@ -1471,8 +4938,55 @@ function renderActiveExercises() {
         `;
         list.appendChild(card);
     });
+
+    initDragToReorder('activeExercisesList', 'activeWorkout');
+}
+
+function renderActiveMeasureInput(field, set, exIndex, setIndex, trackingType, unilateral) {
+    if (field === 'reps' && unilateral) {
+        const target = set.targetReps ? ` ${escapeHtml(String(set.targetReps))}` : '';
+        return `<div class="side-reps">
+                        <input type="text" inputmode="numeric" value="${set.repsLeft !== undefined ? escapeHtml(String(set.repsLeft)) : ''}" placeholder="L${target}" 
+                            oninput="enforceNumeric(this, false); updateActiveSetSide(${exIndex}, ${setIndex}, 'repsLeft', this.value)">
+                        <input type="text" inputmode="numeric" value="${set.repsRight !== undefined ? escapeHtml(String(set.repsRight)) : ''}" placeholder="R${target}" 
+                            oninput="enforceNumeric(this, false); updateActiveSetSide(${exIndex}, ${setIndex}, 'repsRight', this.value)">
+                    </div>`;
+    }
+    switch (field) {
+        case 'weight':
+            return `<input type="text" inputmode="decimal" value="${set.weight !== undefined ? escapeHtml(String(set.weight)) : ''}" placeholder="-" title="Double-tap or long-press for the plate calculator"
+                        oninput="enforceNumeric(this, true); updateActiveSet(${exIndex}, ${setIndex}, 'weight', this.value)"
+                        ondblclick="openPlateCalculator(${exIndex}, ${setIndex})" oncontextmenu="event.preventDefault(); openPlateCalculator(${exIndex}, ${setIndex})">`;
+        case 'reps':
+            return `<input type="text" inputmode="numeric" value="${set.reps !== undefined ? escapeHtml(String(set.reps)) : ''}" placeholder="${set.targetReps ? escapeHtml(String(set.targetReps)) : '-'}" 
+                        oninput="enforceNumeric(this, false); updateActiveSet(${exIndex}, ${setIndex}, 'reps', this.value)">`;
+        case 'duration':
+            return `<input type="text" value="${escapeHtml(formatDuration(set.duration))}" placeholder="${set.targetDuration ? escapeHtml(formatDuration(set.targetDuration)) : 'm:ss'}" 
+                        oninput="enforceDuration(this); updateActiveSetMeasure(${exIndex}, ${setIndex}, 'duration', this.value)">`;
+        case 'distance':
+            return `<input type="text" inputmode="decimal" value="${escapeHtml(formatDistance(set.distance, trackingType))}" placeholder="${set.targetDistance ? escapeHtml(formatDistance(set.targetDistance, trackingType)) : '-'}" 
+                        oninput="enforceNumeric(this, true); updateActiveSetMeasure(${exIndex}, ${setIndex}, 'distance', this.value)">`;
+        default:
+            return '';
+    }
 }
 
+window.updateActiveSetSide = function(exIndex, setIndex, field, value) {
+    const set = state.activeWorkout.exercises[exIndex].sets[setIndex];
+    set[field] = String(value).substring(0, 10);
+    const sides = [set.repsLeft, set.repsRight].map(v => parseInt(v)).filter(v => !isNaN(v));
+    set.reps = sides.length > 0 ? Math.min(...sides) : '';
+    debouncedSaveState();
+};
+
+window.updateActiveSetMeasure = function(exIndex, setIndex, field, value) {
+    const exercise = state.activeWorkout.exercises[exIndex];
+    exercise.sets[setIndex][field] = field === 'duration'
+        ? parseDurationInput(value)
+        : parseDistanceInput(value, getTrackingType(exercise.exerciseId));
+    debouncedSaveState();
+};
+
 window.updateActiveSet = function(exIndex, setIndex, field, value) {
     // Security: Clamping text inputs securely before updating local state
     if (typeof value === 'string') {
@@ -1484,10 +4998,37 @@ window.updateActiveSet = function(exIndex, setIndex, field, value) {
     debouncedSaveState();
 };
 
+window.toggleActiveGroup = function(exIndex) {
+    toggleGroupWithNext(state.activeWorkout.exercises, exIndex);
+    renderActiveExercises();
+    saveState();
+};
+
+function scrollToActiveSet(exIndex, setIndex) {
+    const row = document.querySelector(`#activeExercisesList [data-set="${exIndex}-${setIndex}"]`);
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+window.updateActiveSetEffort = function(exIndex, setIndex, value) {
+    state.activeWorkout.exercises[exIndex].sets[setIndex].rpe = parseEffortInput(value);
+    debouncedSaveState();
+};
+
+window.cycleActiveSetType = function(exIndex, setIndex) {
+    const set = state.activeWorkout.exercises[exIndex].sets[setIndex];
+    set.type = getNextSetType(set);
+    renderActiveExercises();
+    saveState();
+    showToast(`Set type: ${SET_TYPES[set.type].label}`);
+};
+
 window.toggleSetComplete = function(exIndex, setIndex) {
     const set = state.activeWorkout.exercises[exIndex].sets[setIndex];
     const wasCompleted = set.completed;
     set.completed = !set.completed;
+    // Edits to a past workout have no meaningful completion time
+    if (set.completed && !state.activeWorkout.historyId) set.completedAt = new Date().toISOString();
+    else if (!set.completed) delete set.completedAt;
     renderActiveExercises();
     saveState();
 
@@ -1495,16 +5036,12 @@ window.toggleSetComplete = function(exIndex, setIndex) {
         // 1. Check for PR
         const exercise = state.activeWorkout.exercises[exIndex];
         const exerciseData = state.exercises.find(e => e.id === exercise.exerciseId);
-        const wgt = parseFloat(set.weight) || 0;
-        const rps = parseInt(set.reps) || 0;
+        const trackingType = getTrackingType(exercise.exerciseId);
+        const bodyweightMode = getBodyweightMode(exercise.exerciseId);
         
-        if (exerciseData && wgt > 0 && rps > 0) {
-            const e1rm = getE1RM(wgt, rps);
-            const maxes = getExerciseMaxes(exerciseData.id);
-            
-            let prType = null;
-            if (wgt > maxes.maxWeight) prType = 'Weight';
-            else if (e1rm > maxes.max1RM) prType = '1RM';
+        if (exerciseData && isWorkingSet(set) && isSetFilled(set, trackingType, bodyweightMode)) {
+            const bests = getExerciseBests(exerciseData.id);
+            const prType = TRACKING_TYPES[trackingType].prMetrics.find(metric => isMetricImprovement(metric, getSetMetric(set, metric, bodyweightMode), bests[metric]));
 
             if (prType) {
                 const prKey = `${exerciseData.id}_${prType}`;
@@ -1514,70 +5051,236 @@ window.toggleSetComplete = function(exIndex, setIndex) {
                     state.activeWorkout.prs.push({
                         exerciseName: exerciseData.name,
                         type: prType,
-                        value: prType === 'Weight' ? wgt : e1rm
+                        value: formatMetric(prType, getSetMetric(set, prType, bodyweightMode), trackingType)
                     });
                     saveState();
                 }
             }
         }
 
-        // 2. Start Rest Timer
-        const exerciseName = exerciseData ? exerciseData.name : 'Exercise';
-        const duration = exercise.restTime !== undefined ? exercise.restTime : (exerciseData ? exerciseData.restTime : 90);
+        // 2. Grouped exercises move straight on to the next exercise in the round
+        const exercises = state.activeWorkout.exercises;
+        const group = getExerciseGroupInfo(exercises)[exIndex];
+        if (group) {
+            const nextIndex = getNextInRound(exercises, group, exIndex, setIndex);
+            if (nextIndex !== -1) {
+                const nextData = state.exercises.find(e => e.id === exercises[nextIndex].exerciseId);
+                showToast(`Next: ${nextData ? nextData.name : 'Exercise'}`);
+                scrollToActiveSet(nextIndex, setIndex);
+                return;
+            }
+        }
+
+        // 3. Start Rest Timer (for a group, the last exercise's rest covers the whole round)
+        const restExercise = group ? exercises[group.end] : exercise;
+        const restData = group ? state.exercises.find(e => e.id === restExercise.exerciseId) : exerciseData;
+        const exerciseName = group ? group.name : (exerciseData ? exerciseData.name : 'Exercise');
+        const duration = restExercise.restTime !== undefined ? restExercise.restTime : (restData ? restData.restTime : 90);
         startRestTimer(duration, exerciseName);
     }
 };
 
 window.addSetToActive = function(exIndex) {
-    const previousSet = state.activeWorkout.exercises[exIndex].sets[state.activeWorkout.exercises[exIndex].sets.length - 1];
-    state.activeWorkout.exercises[exIndex].sets.push({
-        weight: previousSet ? previousSet.weight : '',
-        reps: '',
+    const exercise = state.activeWorkout.exercises[exIndex];
+    const previousSet = exercise.sets[exercise.sets.length - 1];
+    const newSet = {
+        type: getSetType(previousSet),
+        ...pickSetMeasures(null, getTrackingType(exercise.exerciseId), isUnilateral(exercise.exerciseId)),
         targetReps: previousSet ? previousSet.targetReps : '',
+        targetRpe: previousSet && previousSet.targetRpe !== undefined ? previousSet.targetRpe : '',
+        rpe: '',
         note: '',
         completed: false
-    });
+    };
+    // Carry the load and distance forward; reps and time are logged fresh
+    if (previousSet) {
+        if ('weight' in newSet) newSet.weight = previousSet.weight || '';
+        if ('distance' in newSet) newSet.distance = previousSet.distance || '';
+        if (previousSet.targetDuration) newSet.targetDuration = previousSet.targetDuration;
+        if (previousSet.targetDistance) newSet.targetDistance = previousSet.targetDistance;
+    }
+    exercise.sets.push(newSet);
     renderActiveExercises();
     saveState();
 };
 
+window.insertActiveExerciseAt = function(index) {
+    openExerciseSelection('activeWorkout', index);
+};
+
 window.removeActiveExercise = function(exIndex) {
     if (confirm('Remove this exercise?')) {
         state.activeWorkout.exercises.splice(exIndex, 1);
+        normalizeExerciseGroups(state.activeWorkout.exercises);
         renderActiveExercises();
         saveState();
     }
 };
 
+// --- Exercise Substitution ---
+// A swapped exercise records the planned exercise in substitutedFor, which also drives suggestions:
+// exercises swapped in for each other before are offered first, then the rest of the category.
+function getSubstitutionCounts(exerciseId) {
+    const counts = new Map();
+    state.workoutHistory.forEach(w => {
+        (w.exercises || []).forEach(ex => {
+            if (ex.substitutedFor === undefined) return;
+            let other = null;
+            if (ex.substitutedFor === exerciseId) other = ex.exerciseId;
+            else if (ex.exerciseId === exerciseId) other = ex.substitutedFor;
+            if (other !== null && other !== exerciseId) counts.set(other, (counts.get(other) || 0) + 1);
+        });
+    });
+    return counts;
+}
+
+function getSubstituteSuggestions(exerciseId) {
+    const exercise = state.exercises.find(e => e.id === exerciseId);
+    const counts = getSubstitutionCounts(exerciseId);
+    const category = exercise ? (exercise.category || 'other').toLowerCase() : null;
+    return state.exercises
+        .filter(e => e.id !== exerciseId && (counts.has(e.id) || (e.category || 'other').toLowerCase() === category))
+        .sort((a, b) => (counts.get(b.id) || 0) - (counts.get(a.id) || 0) || a.name.localeCompare(b.name))
+        .map(e => ({ exercise: e, swaps: counts.get(e.id) || 0 }));
+}
+
+window.openSwapExercise = function(exIndex) {
+    const current = state.activeWorkout.exercises[exIndex];
+    if (!current) return;
+    swapExerciseIndex = exIndex;
+    const exercise = state.exercises.find(e => e.id === current.exerciseId);
+    document.getElementById('swapExerciseName').textContent = exercise ? exercise.name : 'Unknown Exercise';
+    document.getElementById('swapExerciseSearch').value = '';
+    renderSwapExerciseList();
+    setModalOpen('swapExerciseModal');
+};
+
+function closeSwapExercise() {
+    setModalClose('swapExerciseModal');
+    swapExerciseIndex = null;
+}
+
+function renderSwapExerciseList(filter = '') {
+    const list = document.getElementById('swapExerciseList');
+    const current = state.activeWorkout && state.activeWorkout.exercises[swapExerciseIndex];
+    if (!list || !current) return;
+
+    const query = filter.trim().toLowerCase();
+    const suggestions = getSubstituteSuggestions(current.exerciseId).filter(s => s.exercise.name.toLowerCase().includes(query));
+    const suggestedIds = new Set(suggestions.map(s => s.exercise.id));
+    const others = query
+        ? state.exercises.filter(e => e.id !== current.exerciseId && !suggestedIds.has(e.id) && e.name.toLowerCase().includes(query))
+            .sort((a, b) => a.name.localeCompare(b.name))
+        : [];
+
+    const renderItem = (exercise, detail) => `
+        <div class="builder-item clickable flex justify-between items-center" onclick="swapActiveExercise(${exercise.id})">
+            <div class="flex flex-col">
+                <h4 class="text-md">${escapeHtml(exercise.name)}</h4>
+                <span class="text-xs text-secondary">${escapeHtml(detail)}</span>
+            </div>
+        </div>
+    `;
+
+    let html = '';
+    if (suggestions.length > 0) {
+        html += '<div class="section-title-sm">Suggested</div>';
+        html += suggestions.map(s => renderItem(s.exercise, s.swaps > 0 ? `Swapped ${s.swaps}× before` : `Same category (${s.exercise.category || 'other'})`)).join('');
+    }
+    if (others.length > 0) {
+        html += '<div class="section-title-sm">All Exercises</div>';
+        html += others.map(e => renderItem(e, e.category || 'other')).join('');
+    }
+    list.innerHTML = html || `<div class="text-center text-secondary p-4">${query ? 'No matching exercises.' : 'No suggestions. Search to pick any exercise.'}</div>`;
+}
+
+// Planned set count, set types and targets carry over; loads come from the new exercise's history.
+// Sets already logged stay with the original exercise and only the remaining ones move across.
+window.swapActiveExercise = function(newExerciseId) {
+    const exercises = state.activeWorkout ? state.activeWorkout.exercises : [];
+    const current = exercises[swapExerciseIndex];
+    const exercise = state.exercises.find(e => e.id === newExerciseId);
+    if (!current || !exercise || exercise.id === current.exerciseId) return;
+
+    const logged = current.sets.filter(s => s.completed);
+    const planned = current.sets.filter(s => !s.completed);
+    if (logged.length > 0 && planned.length === 0) {
+        alert('Every set of this exercise is already logged. Add a new exercise instead.');
+        return;
+    }
+    if (logged.length > 0 && !confirm(`${logged.length} logged set(s) stay with the current exercise. Move the remaining ${planned.length} set(s) to ${exercise.name}?`)) {
+        return;
+    }
+
+    const templateSets = planned.map(s => ({
+        type: getSetType(s),
+        reps: s.targetReps,
+        targetRpe: s.targetRpe,
+        duration: s.targetDuration,
+        distance: s.targetDistance
+    }));
+    const originalId = current.substitutedFor !== undefined ? current.substitutedFor : current.exerciseId;
+    const swapped = {
+        exerciseId: exercise.id,
+        restTime: getRestTimeForExercise(exercise.id),
+        sets: createSessionSets(exercise.id, templateSets)
+    };
+    if (originalId !== exercise.id) swapped.substitutedFor = originalId;
+
+    if (logged.length > 0) {
+        current.sets = logged;
+        exercises.splice(swapExerciseIndex + 1, 0, swapped);
+    } else {
+        if (current.groupId !== undefined) swapped.groupId = current.groupId;
+        exercises[swapExerciseIndex] = swapped;
+    }
+    normalizeExerciseGroups(exercises);
+
+    closeSwapExercise();
+    renderActiveExercises();
+    saveState();
+    showToast(`Swapped to ${exercise.name}`);
+    showAutofillRoundings();
+};
+
 function discardWorkout() {
     if (confirm("Are you sure you want to cancel this workout? All progress will be discarded.")) {
         state.activeWorkout = null;
         saveState();
         stopWorkoutTimer();
+        skipRestTimer();
         setModalClose('activeWorkoutModal');
         renderTrainingTab();
     }
 }
 
 function finishWorkout() {
-    const completedExercises = state.activeWorkout.exercises.map(ex => ({
+    const completedExercises = normalizeExerciseGroups(state.activeWorkout.exercises.map(ex => ({
         exerciseId: ex.exerciseId,
-        sets: ex.sets.filter(s => s.completed || (s.weight && s.reps))
-    })).filter(ex => ex.sets.length > 0);
+        groupId: ex.groupId,
+        restTime: ex.restTime,
+        ...(ex.substitutedFor !== undefined ? { substitutedFor: ex.substitutedFor } : {}),
+        sets: ex.sets.filter(s => s.completed || isSetFilled(s, getTrackingType(ex.exerciseId), getBodyweightMode(ex.exerciseId)))
+    })).filter(ex => ex.sets.length > 0));
+
+    const intervals = Array.isArray(state.activeWorkout.intervals) ? state.activeWorkout.intervals : [];
 
-    if (completedExercises.length === 0) {
+    if (completedExercises.length === 0 && intervals.length === 0) {
         alert("You haven't logged any sets!");
         return;
     }
 
     let volume = 0;
     completedExercises.forEach(ex => {
+        const trackingType = getTrackingType(ex.exerciseId);
+        const bodyweightMode = getBodyweightMode(ex.exerciseId);
         ex.sets.forEach(s => {
-            volume += (parseFloat(s.weight) || 0) * (parseInt(s.reps) || 0);
+            volume += getSetVolume(s, trackingType, bodyweightMode);
         });
     });
 
-    const durationMins = workoutStartTime ? Math.floor((Date.now() - workoutStartTime) / 60000) : 0;
+    const activeSeconds = getActiveWorkoutSeconds();
+    const durationMins = Math.floor(activeSeconds / 60);
     
     // Secure trim & character limit to maintain DB health for Notes
     const safeNotes = typeof state.activeWorkout.notes === 'string' ? state.activeWorkout.notes.trim().substring(0, 2000) : '';
@@ -1587,6 +5290,9 @@ function finishWorkout() {
         if (index !== -1) {
             state.workoutHistory[index].exercises = completedExercises;
             state.workoutHistory[index].notes = safeNotes;
+            if (intervals.length > 0) state.workoutHistory[index].intervals = intervals;
+            else delete state.workoutHistory[index].intervals;
+            markDirty('workoutHistory', state.activeWorkout.historyId);
         }
     } else {
         const record = {
@@ -1597,9 +5303,14 @@ function finishWorkout() {
             week: state.activeWorkout.week || 1,
             name: state.activeWorkout.name,
             exercises: completedExercises,
-            notes: safeNotes
+            notes: safeNotes,
+            startedAt: new Date(workoutStartTime || Date.now()).toISOString(),
+            endedAt: new Date().toISOString(),
+            duration: activeSeconds
         };
+        if (intervals.length > 0) record.intervals = intervals;
         state.workoutHistory.push(record);
+        markDirty('workoutHistory', record.id);
     }
 
     const wName = state.activeWorkout.name;
@@ -1608,12 +5319,15 @@ function finishWorkout() {
     state.activeWorkout = null;
     saveState();
     stopWorkoutTimer();
+    skipRestTimer();
 
     setModalClose('activeWorkoutModal');
     renderHistory();
     renderTrainingTab();
     
     showSummaryModal(wName, durationMins, volume, prs);
+    runSync();
+    runScheduledWebdavBackup('workout');
 }
 
 function showSummaryModal(name, durationMins, volume, prs) {
@@ -1991,6 +5705,7 @@ function saveProgram() {
         state.editingProgram.id = Date.now();
         state.programs.push(state.editingProgram);
     }
+    markDirty('programs', state.editingProgram.id);
 
     saveState();
     closeProgramBuilder();
@@ -2056,12 +5771,21 @@ function initDragToReorder(containerId, stateKey) {
                 const arr = state.editingWorkout.exercises;
                 const [moved] = arr.splice(fromIndex, 1);
                 arr.splice(toIndex, 0, moved);
+                normalizeExerciseGroups(arr);
                 renderWorkoutBuilderExercises();
             } else if (stateKey === 'editingProgram') {
                 const arr = state.editingProgram.schedule[state.editingProgramWeek];
                 const [moved] = arr.splice(fromIndex, 1);
                 arr.splice(toIndex, 0, moved);
                 renderProgramBuilderWorkouts();
+            } else if (stateKey === 'activeWorkout') {
+                // Sets travel with their exercise and PRs are keyed by exercise id, so only groups need fixing up
+                const arr = state.activeWorkout.exercises;
+                const [moved] = arr.splice(fromIndex, 1);
+                arr.splice(toIndex, 0, moved);
+                normalizeExerciseGroups(arr);
+                renderActiveExercises();
+                saveState();
             }
         }
     });
@@ -2083,13 +5807,28 @@ function renderWorkoutBuilderExercises() {
     const exercisesMap = new Map(state.exercises.map(ex => [ex.id, ex]));
     const fragment = document.createDocumentFragment();
 
+    const groupInfo = getExerciseGroupInfo(state.editingWorkout.exercises);
+
     state.editingWorkout.exercises.forEach((ex, i) => {
         const exerciseData = exercisesMap.get(ex.exerciseId);
+        const group = groupInfo[i];
         const item = document.createElement('div');
         item.className = 'builder-item draggable-item';
+        if (group) {
+            item.classList.add('grouped');
+            if (i === group.start) item.classList.add('group-first');
+            if (i === group.end) item.classList.add('group-last');
+        }
         item.dataset.index = i;
+        const groupedWithNext = isGroupedWithNext(state.editingWorkout.exercises, i);
+        const linkBtn = i < state.editingWorkout.exercises.length - 1 ? `
+                    <button class="btn-icon-xs ${groupedWithNext ? 'active' : ''}" title="${groupedWithNext ? 'Unlink from next exercise' : 'Superset with next exercise'}" onclick="toggleBuilderGroup(${i})">
+                        ${LINK_ICON}
+                    </button>` : '';
         
         const currentRestTime = ex.restTime !== undefined ? ex.restTime : (exerciseData ? exerciseData.restTime : 90);
+        const trackingType = getTrackingType(ex.exerciseId);
+        const targetField = TRACKING_TYPES[trackingType].target;
 
         let setsHTML = `<div class="mt-4">`;
         
@@ -2106,17 +5845,21 @@ function renderWorkoutBuilderExercises() {
         setsHTML += `
             <div class="flex justify-between text-xs text-secondary font-bold uppercase mb-2 px-1">
                 <span class="w-12 text-center">Set</span>
-                <span class="flex-grow text-center">Target Reps</span>
+                <span class="flex-grow text-center">Target ${targetField === 'reps' ? 'Reps' : getMeasureLabel(targetField, trackingType)}</span>
+                <span class="w-16 text-center">Target ${getEffortLabel()}</span>
                 <span class="w-8"></span>
             </div>
         `;
 
         if (ex.sets && ex.sets.length > 0) {
+            const setLabels = getSetLabels(ex.sets);
             ex.sets.forEach((set, setIndex) => {
+                const setType = getSetType(set);
                 setsHTML += `
                     <div class="flex items-center gap-2 mb-2">
-                        <span class="w-12 text-center text-sm font-bold text-secondary">${setIndex + 1}</span>
-                        <input type="text" class="input-field py-2 px-3 flex-grow text-center font-bold" style="min-height: 40px; border-radius: 8px;" placeholder="e.g. 8-12" value="${set.reps !== undefined ? escapeHtml(String(set.reps)) : ''}" oninput="enforceRepRange(this); updateBuilderSet(${i}, ${setIndex}, 'reps', this.value)">
+                        <button class="set-type-btn set-type-${setType} w-12 flex-shrink-0" title="${SET_TYPES[setType].label} (tap to change)" onclick="cycleBuilderSetType(${i}, ${setIndex})">${setLabels[setIndex]}</button>
+                        ${renderBuilderTargetInput(targetField, set, i, setIndex, trackingType)}
+                        <input type="text" inputmode="decimal" class="input-field py-2 px-1 w-16 flex-shrink-0 text-center font-bold" style="min-height: 40px; border-radius: 8px;" placeholder="-" value="${escapeHtml(formatEffort(set.targetRpe))}" oninput="enforceNumeric(this, true); updateBuilderSetEffort(${i}, ${setIndex}, this.value)">
                         <button class="btn-icon-xs btn-transparent-danger w-8 h-8 flex-shrink-0" title="Remove Set" onclick="removeBuilderSet(${i}, ${setIndex})">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
                         </button>
@@ -2132,9 +5875,11 @@ function renderWorkoutBuilderExercises() {
                     <span class="drag-handle" title="Drag to reorder">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="6" r="1.5" fill="currentColor" stroke="none"/><circle cx="15" cy="6" r="1.5" fill="currentColor" stroke="none"/><circle cx="9" cy="12" r="1.5" fill="currentColor" stroke="none"/><circle cx="15" cy="12" r="1.5" fill="currentColor" stroke="none"/><circle cx="9" cy="18" r="1.5" fill="currentColor" stroke="none"/><circle cx="15" cy="18" r="1.5" fill="currentColor" stroke="none"/></svg>
                     </span>
+                    ${group ? `<span class="group-code">${group.code}</span>` : ''}
                     <strong class="text-md">${exerciseData ? escapeHtml(exerciseData.name) : 'Unknown'}</strong>
                 </div>
                 <div class="flex gap-1">
+                    ${linkBtn}
                     <button class="btn-icon-xs" title="Duplicate Exercise" onclick="duplicateExerciseInBuilder(${i})">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>
                     </button>
@@ -2152,11 +5897,39 @@ function renderWorkoutBuilderExercises() {
     initDragToReorder('exerciseBuilder', 'editingWorkout');
 }
 
+function renderBuilderTargetInput(field, set, exIndex, setIndex, trackingType) {
+    const attrs = 'class="input-field py-2 px-3 flex-grow text-center font-bold" style="min-height: 40px; border-radius: 8px;"';
+    if (field === 'duration') {
+        return `<input type="text" ${attrs} placeholder="e.g. 1:00" value="${escapeHtml(formatDuration(set.duration))}" oninput="enforceDuration(this); updateBuilderSetMeasure(${exIndex}, ${setIndex}, 'duration', this.value)">`;
+    }
+    if (field === 'distance') {
+        return `<input type="text" inputmode="decimal" ${attrs} placeholder="-" value="${escapeHtml(formatDistance(set.distance, trackingType))}" oninput="enforceNumeric(this, true); updateBuilderSetMeasure(${exIndex}, ${setIndex}, 'distance', this.value)">`;
+    }
+    return `<input type="text" ${attrs} placeholder="e.g. 8-12" value="${set.reps !== undefined ? escapeHtml(String(set.reps)) : ''}" oninput="enforceRepRange(this); updateBuilderSet(${exIndex}, ${setIndex}, 'reps', this.value)">`;
+}
+
+window.updateBuilderSetMeasure = function(exIndex, setIndex, field, value) {
+    const exercise = state.editingWorkout.exercises[exIndex];
+    exercise.sets[setIndex][field] = field === 'duration'
+        ? parseDurationInput(value)
+        : parseDistanceInput(value, getTrackingType(exercise.exerciseId));
+};
+
 window.updateBuilderSet = function(exIndex, setIndex, field, value) {
     if (typeof value === 'string' && field === 'reps') value = value.substring(0, 15);
     state.editingWorkout.exercises[exIndex].sets[setIndex][field] = value;
 };
 
+window.updateBuilderSetEffort = function(exIndex, setIndex, value) {
+    state.editingWorkout.exercises[exIndex].sets[setIndex].targetRpe = parseEffortInput(value);
+};
+
+window.cycleBuilderSetType = function(exIndex, setIndex) {
+    const set = state.editingWorkout.exercises[exIndex].sets[setIndex];
+    set.type = getNextSetType(set);
+    renderWorkoutBuilderExercises();
+};
+
 window.removeBuilderSet = function(exIndex, setIndex) {
     state.editingWorkout.exercises[exIndex].sets.splice(setIndex, 1);
     renderWorkoutBuilderExercises();
@@ -2165,14 +5938,25 @@ window.removeBuilderSet = function(exIndex, setIndex) {
 window.addBuilderSet = function(exIndex) {
     const ex = state.editingWorkout.exercises[exIndex];
     const lastSet = ex.sets[ex.sets.length - 1];
-    ex.sets.push({
-        reps: lastSet && lastSet.reps !== undefined ? lastSet.reps : ''
-    });
+    const newSet = {
+        type: getSetType(lastSet),
+        reps: lastSet && lastSet.reps !== undefined ? lastSet.reps : '',
+        targetRpe: lastSet && lastSet.targetRpe !== undefined ? lastSet.targetRpe : ''
+    };
+    if (lastSet && lastSet.duration) newSet.duration = lastSet.duration;
+    if (lastSet && lastSet.distance) newSet.distance = lastSet.distance;
+    ex.sets.push(newSet);
+    renderWorkoutBuilderExercises();
+};
+
+window.toggleBuilderGroup = function(index) {
+    toggleGroupWithNext(state.editingWorkout.exercises, index);
     renderWorkoutBuilderExercises();
 };
 
 window.removeExerciseFromBuilder = function(index) {
     state.editingWorkout.exercises.splice(index, 1);
+    normalizeExerciseGroups(state.editingWorkout.exercises);
     renderWorkoutBuilderExercises();
 };
 
@@ -2219,6 +6003,7 @@ function saveWorkout() {
         } else {
             state.standaloneWorkouts.push(state.editingWorkout);
         }
+        markDirty('standaloneWorkouts', state.editingWorkout.id);
         saveState();
         renderStandaloneWorkoutsList();
         renderTrainingTab();
@@ -2228,8 +6013,9 @@ function saveWorkout() {
 }
 
 // --- Exercise Selection Logic (Multi-Select) ---
-function openExerciseSelection(source) {
+function openExerciseSelection(source, insertIndex = null) {
     state.exerciseSelectionSource = source;
+    state.exerciseSelectionInsertIndex = insertIndex;
     selectedExercisesForBuilder.clear();
     renderExerciseSelection();
     updateExerciseSelectionFooter();
@@ -2239,6 +6025,7 @@ function openExerciseSelection(source) {
 function closeExerciseSelection() {
     setModalClose('exerciseSelectionModal');
     state.exerciseSelectionSource = null;
+    state.exerciseSelectionInsertIndex = null;
 }
 
 window.toggleExerciseSelection = function(exerciseId) {
@@ -2263,6 +6050,13 @@ function updateExerciseSelectionFooter() {
 
 function confirmExerciseSelection() {
     const source = state.exerciseSelectionSource;
+    const activeExercises = state.activeWorkout ? state.activeWorkout.exercises : [];
+    let insertIndex = state.exerciseSelectionInsertIndex !== null && state.exerciseSelectionInsertIndex !== undefined
+        ? Math.min(state.exerciseSelectionInsertIndex, activeExercises.length)
+        : activeExercises.length;
+    // Inserting between two exercises of the same superset adds to that superset
+    const before = activeExercises[insertIndex - 1];
+    const insertGroupId = before && isGroupedWithNext(activeExercises, insertIndex - 1) ? before.groupId : undefined;
     selectedExercisesForBuilder.forEach(exId => {
         const exercise = state.exercises.find(e => e.id === exId);
         if (!exercise) return;
@@ -2274,26 +6068,23 @@ function confirmExerciseSelection() {
                 sets: [{ reps: '' }] // Start with one empty set
             });
         } else if (source === 'activeWorkout') {
-            const autofill = getAutoFillForExercise(exercise.id, 0);
-            state.activeWorkout.exercises.push({
+            const sessionExercise = {
                 exerciseId: exercise.id,
                 restTime: exercise.restTime || 90,
-                sets: [{ 
-                    weight: autofill && autofill.weight ? autofill.weight : '', 
-                    reps: autofill && autofill.reps ? autofill.reps : '', 
-                    targetReps: '', 
-                    note: '', 
-                    completed: false 
-                }]
-            });
+                sets: createSessionSets(exercise.id, [{ reps: '' }])
+            };
+            if (insertGroupId !== undefined) sessionExercise.groupId = insertGroupId;
+            activeExercises.splice(insertIndex++, 0, sessionExercise);
         }
     });
 
     if (source === 'workoutBuilder') {
         renderWorkoutBuilderExercises();
     } else if (source === 'activeWorkout') {
+        normalizeExerciseGroups(activeExercises);
         saveState();
         renderActiveExercises();
+        showAutofillRoundings();
     }
 
     closeExerciseSelection();
@@ -2454,6 +6245,7 @@ window.editStandaloneWorkout = function(id) {
 window.deleteStandaloneWorkout = function(id) {
     if (confirm('Delete this standalone workout?')) {
         state.standaloneWorkouts = state.standaloneWorkouts.filter(w => w.id !== id);
+        markDirty('standaloneWorkouts', id);
         saveState();
         renderStandaloneWorkoutsList();
         renderTrainingTab();
@@ -2478,6 +6270,7 @@ window.deleteProgram = function(id) {
     if (confirm('Delete this program?')) {
         state.programs = state.programs.filter(p => p.id !== id);
         if (state.currentProgram === id) state.currentProgram = null;
+        markDirty('programs', id);
         saveState();
         renderProgramsList();
         renderTrainingTab();
@@ -2525,10 +6318,14 @@ function renderExercisesList(filter = '') {
         content.className = 'category-content';
 
         exercises.forEach(exercise => {
+            const equipment = getEquipment(exercise.id);
             const card = document.createElement('div');
             card.className = 'exercise-item-row';
             card.innerHTML = `
-                <h4>${escapeHtml(exercise.name)}</h4>
+                <div class="flex flex-col">
+                    <h4>${escapeHtml(exercise.name)}</h4>
+                    <span class="text-xs text-secondary">${equipment ? EQUIPMENT_TYPES[equipment].label : 'No equipment set'} • ${getWeightIncrement(exercise.id)} ${getWeightUnitLabel()} steps</span>
+                </div>
                 <div class="flex gap-2">
                     <button class="btn-icon-xs" onclick="editExercise(${exercise.id})">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>
@@ -2553,6 +6350,7 @@ function filterExercises(e) {
 window.deleteExercise = function(id) {
     if (confirm('Delete this exercise?')) {
         state.exercises = state.exercises.filter(e => e.id !== id);
+        markDirty('exercises', id);
         saveState();
         renderExercisesList();
     }
@@ -2568,6 +6366,12 @@ window.editExercise = function(id) {
     document.getElementById('exerciseNameInput').value = ex.name;
     document.getElementById('exerciseCategoryInput').value = ex.category || 'other';
     document.getElementById('exerciseRestInput').value = ex.restTime || 90;
+    document.getElementById('exerciseTrackingInput').value = getTrackingType(id);
+    document.getElementById('exerciseBodyweightInput').value = getBodyweightMode(id) || '';
+    document.getElementById('exerciseSidesInput').value = ex.unilateral ? 'unilateral' : 'bilateral';
+    setEquipmentField(EQUIPMENT_TYPES[ex.equipment] ? ex.equipment : '', inferEquipment(ex));
+    document.getElementById('exerciseIncrementInput').value = getCustomIncrement(ex) || '';
+    updateIncrementPlaceholder();
     
     setModalOpen('addExerciseModal');
 };
@@ -2579,6 +6383,12 @@ function openAddExercise() {
     input.value = '';
     document.getElementById('exerciseCategoryInput').value = 'other';
     document.getElementById('exerciseRestInput').value = 90;
+    document.getElementById('exerciseTrackingInput').value = 'weight_reps';
+    document.getElementById('exerciseBodyweightInput').value = '';
+    document.getElementById('exerciseSidesInput').value = 'bilateral';
+    setEquipmentField('', null);
+    document.getElementById('exerciseIncrementInput').value = '';
+    updateIncrementPlaceholder();
     setModalOpen('addExerciseModal');
     input.focus();
 }
@@ -2593,6 +6403,16 @@ function saveExercise() {
     const category = document.getElementById('exerciseCategoryInput').value.trim().substring(0, 50);
     const restTimeEl = document.getElementById('exerciseRestInput');
     const restTime = restTimeEl ? parseInt(String(restTimeEl.value).substring(0, 4)) || 90 : 90;
+    const trackingEl = document.getElementById('exerciseTrackingInput');
+    const trackingType = trackingEl && TRACKING_TYPES[trackingEl.value] ? trackingEl.value : 'weight_reps';
+    const bodyweightEl = document.getElementById('exerciseBodyweightInput');
+    const bodyweightMode = bodyweightEl && BODYWEIGHT_MODES[bodyweightEl.value] ? bodyweightEl.value : null;
+    const sidesEl = document.getElementById('exerciseSidesInput');
+    const unilateral = !!sidesEl && sidesEl.value === 'unilateral';
+    const equipmentEl = document.getElementById('exerciseEquipmentInput');
+    const equipment = equipmentEl && EQUIPMENT_TYPES[equipmentEl.value] ? equipmentEl.value : null;
+    const incrementEl = document.getElementById('exerciseIncrementInput');
+    const increment = incrementEl ? Math.round(parseFloat(String(incrementEl.value).substring(0, 6)) * 100) / 100 : NaN;
 
     if (!name) {
         alert('Name required');
@@ -2605,14 +6425,37 @@ function saveExercise() {
             state.exercises[exIndex].name = name;
             state.exercises[exIndex].category = category;
             state.exercises[exIndex].restTime = restTime;
+            state.exercises[exIndex].trackingType = trackingType;
+            if (bodyweightMode) state.exercises[exIndex].bodyweightMode = bodyweightMode;
+            else delete state.exercises[exIndex].bodyweightMode;
+            if (unilateral) state.exercises[exIndex].unilateral = true;
+            else delete state.exercises[exIndex].unilateral;
+            if (equipment) state.exercises[exIndex].equipment = equipment;
+            else delete state.exercises[exIndex].equipment;
+            if (increment > 0) {
+                state.exercises[exIndex].increment = increment;
+                state.exercises[exIndex].incrementUnit = getWeightUnitLabel();
+            } else if (getCustomIncrement(state.exercises[exIndex])) {
+                // Only clear an increment set in this unit; one from the other unit stays for when it's back
+                delete state.exercises[exIndex].increment;
+                delete state.exercises[exIndex].incrementUnit;
+            }
+            markDirty('exercises', state.editingExerciseId);
         }
     } else {
+        const id = Date.now();
         state.exercises.push({
-            id: Date.now(),
+            id,
             name,
             category,
-            restTime
+            restTime,
+            trackingType,
+            ...(bodyweightMode ? { bodyweightMode } : {}),
+            ...(unilateral ? { unilateral } : {}),
+            ...(equipment ? { equipment } : {}),
+            ...(increment > 0 ? { increment, incrementUnit: getWeightUnitLabel() } : {})
         });
+        markDirty('exercises', id);
     }
     
     // Ensure exercises are always inserted alphabetically
@@ -2623,6 +6466,21 @@ function saveExercise() {
     renderExercisesList();
 }
 
+// Only stored equipment is selected; a guess from the name is shown on the "Not set" option instead,
+// so saving an untouched form doesn't turn the guess into a choice
+function setEquipmentField(equipment, inferred) {
+    const select = document.getElementById('exerciseEquipmentInput');
+    select.value = equipment;
+    select.dataset.inferred = inferred || '';
+    select.options[0].textContent = inferred ? `Not set (looks like ${EQUIPMENT_TYPES[inferred].label})` : 'Not set';
+}
+
+window.updateIncrementPlaceholder = function() {
+    const select = document.getElementById('exerciseEquipmentInput');
+    const equipment = select.value || select.dataset.inferred;
+    document.getElementById('exerciseIncrementInput').placeholder = `Default: ${getDefaultIncrement(equipment)} ${getWeightUnitLabel()}`;
+};
+
 // --- Settings Preferences ---
 function renderSettingsPreferences() {
     const unit = state.weightUnit || 'lbs';
@@ -2630,4 +6488,11 @@ function renderSettingsPreferences() {
     const kgBtn = document.getElementById('unitKg');
     if (lbsBtn) lbsBtn.classList.toggle('active', unit === 'lbs');
     if (kgBtn) kgBtn.classList.toggle('active', unit === 'kg');
+    const rpeBtn = document.getElementById('effortRpe');
+    const rirBtn = document.getElementById('effortRir');
+    if (rpeBtn) rpeBtn.classList.toggle('active', state.effortScale !== 'rir');
+    if (rirBtn) rirBtn.classList.toggle('active', state.effortScale === 'rir');
+    const retentionEl = document.getElementById('snapshotRetentionInput');
+    if (retentionEl) retentionEl.value = String(state.snapshotRetention || 14);
+    renderPlateInventory();
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'fitness-tracker-v1';
+const CACHE_NAME = 'fitness-tracker-v2';
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
@@ -40,3 +40,75 @@ self.addEventListener('fetch', (event) => {
         })
     );
 });
+
+// 4. Rest timer notifications
+// The page only schedules one while it's hidden and cancels it when it's shown again, so it never
+// appears over the open app. Where the browser has notification triggers it fires the notification
+// itself; otherwise this worker waits for the rest to end, which is best-effort: browsers stop idle
+// workers after a while, so a long rest may end without one.
+const REST_NOTIFICATION_TAG = 'rest-timer';
+const SUPPORTS_NOTIFICATION_TRIGGERS = typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+let restNotificationTimeout = null;
+let resolveRestWait = null;
+
+function clearRestNotification() {
+    clearTimeout(restNotificationTimeout);
+    restNotificationTimeout = null;
+    if (resolveRestWait) {
+        resolveRestWait();
+        resolveRestWait = null;
+    }
+    return self.registration.getNotifications({ tag: REST_NOTIFICATION_TAG, includeTriggered: true })
+        .then((notifications) => notifications.forEach((n) => n.close()))
+        .catch(() => {});
+}
+
+function restNotificationOptions(body) {
+    return {
+        body,
+        tag: REST_NOTIFICATION_TAG,
+        renotify: true,
+        vibrate: [200, 100, 200]
+    };
+}
+
+function showRestNotification(title, body) {
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+        if (clientList.some((client) => client.visibilityState === 'visible')) return;
+        return self.registration.showNotification(title, restNotificationOptions(body));
+    });
+}
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === 'rest-timer-cancel') {
+        event.waitUntil(clearRestNotification());
+    } else if (data.type === 'rest-timer-schedule') {
+        event.waitUntil(clearRestNotification().then(() => {
+            if (SUPPORTS_NOTIFICATION_TRIGGERS) {
+                return self.registration.showNotification(data.title, {
+                    ...restNotificationOptions(data.body),
+                    showTrigger: new TimestampTrigger(data.endsAt)
+                });
+            }
+            // Fallback: keep the worker alive until the rest ends, then check for a visible window
+            return new Promise((resolve) => {
+                resolveRestWait = resolve;
+                restNotificationTimeout = setTimeout(() => {
+                    resolveRestWait = null;
+                    showRestNotification(data.title, data.body).then(resolve, resolve);
+                }, Math.max(0, data.endsAt - Date.now()));
+            });
+        }));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+            if (clientList.length > 0) return clientList[0].focus();
+            return self.clients.openWindow('./');
+        })
+    );
+});
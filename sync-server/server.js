@@ -0,0 +1,128 @@
+// --- Sync Stand-in Server ---
+// A small, dependency-free implementation of the sync protocol described in script.js ("--- Sync ---"),
+// for trying sync locally and for the tests next to it. Everything is kept in memory.
+//
+//   node sync-server/server.js            (listens on PORT, default 8787)
+//   SYNC_TOKEN=secret node sync-server/server.js
+const http = require('node:http');
+
+const COLLECTIONS = ['exercises', 'programs', 'standaloneWorkouts', 'workoutHistory', 'bodyweightHistory'];
+
+// Same rule as resolveSyncConflict() in script.js: the greater modifiedAt wins, then the greater deviceId
+function incomingWins(stored, incoming) {
+    if (stored.modifiedAt !== incoming.modifiedAt) return incoming.modifiedAt > stored.modifiedAt;
+    return String(incoming.deviceId) > String(stored.deviceId);
+}
+
+function isValidChange(change) {
+    return !!change && typeof change === 'object'
+        && COLLECTIONS.includes(change.collection)
+        && (typeof change.id === 'number' || typeof change.id === 'string')
+        && typeof change.modifiedAt === 'number';
+}
+
+// Keeps the winning copy of each record, tagged with the sequence number it was accepted at.
+// The cursor handed to clients is the last sequence number they've seen.
+function createSyncStore() {
+    const records = new Map();
+    let seq = 0;
+
+    return {
+        push(deviceId, changes) {
+            return changes.map(change => {
+                const incoming = {
+                    collection: change.collection,
+                    id: change.id,
+                    modifiedAt: change.modifiedAt,
+                    deviceId: change.deviceId || deviceId,
+                    deleted: !!change.deleted,
+                    record: change.deleted ? null : change.record,
+                    schemaVersion: change.schemaVersion,
+                    weightUnit: change.weightUnit
+                };
+                const key = `${change.collection}:${change.id}`;
+                const stored = records.get(key);
+                if (stored && !incomingWins(stored.change, incoming)) {
+                    return { collection: change.collection, id: change.id, status: 'stale' };
+                }
+                records.set(key, { seq: ++seq, change: incoming });
+                return { collection: change.collection, id: change.id, status: 'accepted' };
+            });
+        },
+
+        pull(since) {
+            const after = parseInt(since) || 0;
+            const changes = [...records.values()]
+                .filter(entry => entry.seq > after)
+                .sort((a, b) => a.seq - b.seq)
+                .map(entry => entry.change);
+            return { cursor: String(seq), changes };
+        }
+    };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { text += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(text));
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createSyncServer({ token = '', store = createSyncStore() } = {}) {
+    return http.createServer(async (req, res) => {
+        // The app is served from another origin, so allow cross-origin calls
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        if (req.method === 'OPTIONS') return sendJson(res, 204);
+
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/changes') return sendJson(res, 404, { error: 'Not found' });
+
+        if (req.method === 'GET') {
+            return sendJson(res, 200, store.pull(url.searchParams.get('since')));
+        }
+
+        if (req.method === 'POST') {
+            let body;
+            try {
+                body = await readJson(req);
+            } catch (err) {
+                return sendJson(res, 400, { error: 'Invalid JSON' });
+            }
+            if (!body || typeof body.deviceId !== 'string' || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+                return sendJson(res, 400, { error: 'Expected { deviceId, changes: [Change, ...] }' });
+            }
+            return sendJson(res, 200, { results: store.push(body.deviceId, body.changes) });
+        }
+
+        sendJson(res, 405, { error: 'Method not allowed' });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT) || 8787;
+    createSyncServer({ token: process.env.SYNC_TOKEN || '' }).listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createSyncServer, createSyncStore, incomingWins };
@@ -0,0 +1,106 @@
+// Run with: node --test sync-server/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSyncServer } = require('./server.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createSyncServer({ token: 'secret' });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, body, token = 'secret') {
+    const headers = { 'Accept': 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    const response = await fetch(baseUrl + path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+const pull = (since = '') => request('GET', `/changes?since=${encodeURIComponent(since)}`);
+const push = (deviceId, changes) => request('POST', '/changes', { deviceId, changes });
+
+function change(id, modifiedAt, deviceId, record = { id, date: '2024-01-01', weight: 80 }) {
+    return { collection: 'bodyweightHistory', id, modifiedAt, deviceId, deleted: false, record, schemaVersion: 6, weightUnit: 'kg' };
+}
+
+test('rejects requests without the configured token', async () => {
+    assert.equal((await request('GET', '/changes?since=', null, '')).status, 401);
+    assert.equal((await request('GET', '/changes?since=', null, 'wrong')).status, 401);
+});
+
+test('rejects malformed pushes', async () => {
+    assert.equal((await push('a', [{ collection: 'settings', id: 1, modifiedAt: 1 }])).status, 400);
+    assert.equal((await request('POST', '/changes', { changes: [] })).status, 400);
+});
+
+test('pushed changes are accepted and returned by a pull', async () => {
+    const pushed = await push('device-a', [change(1, 100, 'device-a')]);
+    assert.equal(pushed.status, 200);
+    assert.deepEqual(pushed.body.results, [{ collection: 'bodyweightHistory', id: 1, status: 'accepted' }]);
+
+    const pulled = await pull();
+    assert.equal(pulled.status, 200);
+    const remote = pulled.body.changes.find(c => c.id === 1);
+    assert.equal(remote.deviceId, 'device-a');
+    assert.equal(remote.weightUnit, 'kg');
+    assert.deepEqual(remote.record, { id: 1, date: '2024-01-01', weight: 80 });
+});
+
+test('the newer modifiedAt wins per record', async () => {
+    await push('device-a', [change(2, 200, 'device-a', { id: 2, date: '2024-01-02', weight: 81 })]);
+
+    const older = await push('device-b', [change(2, 150, 'device-b', { id: 2, date: '2024-01-02', weight: 70 })]);
+    assert.equal(older.body.results[0].status, 'stale');
+
+    const newer = await push('device-b', [change(2, 250, 'device-b', { id: 2, date: '2024-01-02', weight: 82 })]);
+    assert.equal(newer.body.results[0].status, 'accepted');
+
+    const remote = (await pull()).body.changes.find(c => c.id === 2);
+    assert.equal(remote.record.weight, 82);
+    assert.equal(remote.deviceId, 'device-b');
+});
+
+test('a modifiedAt tie goes to the greater deviceId', async () => {
+    await push('device-b', [change(3, 300, 'device-b', { id: 3, date: '2024-01-03', weight: 90 })]);
+
+    const lower = await push('device-a', [change(3, 300, 'device-a', { id: 3, date: '2024-01-03', weight: 91 })]);
+    assert.equal(lower.body.results[0].status, 'stale');
+
+    const higher = await push('device-c', [change(3, 300, 'device-c', { id: 3, date: '2024-01-03', weight: 92 })]);
+    assert.equal(higher.body.results[0].status, 'accepted');
+
+    const remote = (await pull()).body.changes.find(c => c.id === 3);
+    assert.equal(remote.record.weight, 92);
+});
+
+test('deletions win like any other change', async () => {
+    await push('device-a', [change(4, 400, 'device-a')]);
+    const deleted = await push('device-b', [{ collection: 'bodyweightHistory', id: 4, modifiedAt: 401, deviceId: 'device-b', deleted: true, record: null }]);
+    assert.equal(deleted.body.results[0].status, 'accepted');
+
+    const remote = (await pull()).body.changes.find(c => c.id === 4);
+    assert.equal(remote.deleted, true);
+    assert.equal(remote.record, null);
+});
+
+test('the cursor only returns changes accepted after it', async () => {
+    const { cursor } = (await pull()).body;
+    assert.deepEqual((await pull(cursor)).body.changes, []);
+
+    await push('device-a', [change(5, 500, 'device-a')]);
+    await push('device-b', [change(5, 100, 'device-b')]); // stale, so not a new change
+    const next = await pull(cursor);
+    assert.deepEqual(next.body.changes.map(c => c.id), [5]);
+    assert.notEqual(next.body.cursor, cursor);
+
+    // A record replaced after the cursor comes back once, as its latest copy
+    await push('device-a', [change(1, 600, 'device-a', { id: 1, date: '2024-01-01', weight: 79 })]);
+    const latest = await pull(next.body.cursor);
+    assert.deepEqual(latest.body.changes.map(c => [c.id, c.record.weight]), [[1, 79]]);
+});